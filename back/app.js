@@ -1,84 +1,118 @@
-const sqreen = require("sqreen");
+const sqreen = require("./config/sqreen");
 const express = require("express");
 const bodyParser = require("body-parser");
 const cors = require("cors");
-const { passport, optionalJWTAuth } = require("./config/auth");
-const db = require("./config/db");
+const { passport } = require("./config/auth");
+const playbooks = require("./config/playbooks");
+const requestContext = require("./config/request-context");
+const uploads = require("./config/uploads");
 var morgan = require("morgan");
 var path = require("path");
-//Initiate our app
-const app = express();
-const jwt = require("jsonwebtoken");
 
-//Configure our app
-app.use(morgan("combined"));
-app.use(
-  cors({
-    allowedHeaders: ["Content-Type", "Authorization"],
-    exposedHeaders: ["*"]
-  })
-);
-app.use(bodyParser.urlencoded({ extended: false }));
-app.use(bodyParser.json());
-app.use(passport.initialize());
-app.use(express.static(path.resolve(__dirname, "../dist")));
+const adminRoutes = require("./routes/admin");
+const authRoutes = require("./routes/auth");
+const cartRoutes = require("./routes/cart");
+const categoriesRoutes = require("./routes/categories");
+const ordersRoutes = require("./routes/orders");
+const devRoutes = require("./routes/dev");
+const downloadRoutes = require("./routes/download");
+const favoritesRoutes = require("./routes/favorites");
+const imageRoutes = require("./routes/image");
+const metadataRoutes = require("./routes/metadata");
+const playbooksRoutes = require("./routes/playbooks");
+const picturesRoutes = require("./routes/pictures");
+const postsRoutes = require("./routes/posts");
+const resetPasswordRoutes = require("./routes/reset-password");
+const reviewsRoutes = require("./routes/reviews");
+const scenariosRoutes = require("./routes/scenarios");
+const securityRoutes = require("./routes/security");
+const usersRoutes = require("./routes/users");
 
-app.get("/api/posts", optionalJWTAuth, (req, res) => {
-  const limit =
-    req.query.limit >= 0 && req.query.limit <= 50 ? req.query.limit : 50;
-  const skip = req.query.skip >= 0 && req.query.skip <= 20 ? req.query.skip : 0;
-  db.all(`SELECT * FROM POSTS LIMIT ${limit} OFFSET ${skip};`, function(
-    err,
-    row
-  ) {
-    res.send(row);
-  });
-});
+// Builds the express app without listening, so it can be embedded or tested
+const createApp = () => {
+  const app = express();
 
-app.get("/api/posts/:id", optionalJWTAuth, (req, res) => {
-  db.all(`SELECT * FROM POSTS WHERE ID = ${req.params.id};`, function(
-    err,
-    row
-  ) {
-    sqreen.track("get-single-article", {
-      properties: { articleId: req.params.id }
-    });
-    res.send(row);
-  });
-});
+  //Configure our app
+  app.use(morgan("combined"));
+  app.use(sqreen.middleware);
+  app.use(
+    cors({
+      allowedHeaders: ["Content-Type", "Authorization"],
+      exposedHeaders: ["*"]
+    })
+  );
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.use(bodyParser.json());
+  app.use(passport.initialize());
+  // After the body parsers, the db checks queries against the parsed inputs
+  app.use(requestContext.middleware);
+  app.use(express.static(path.resolve(__dirname, "../dist")));
+  app.use(uploads.publicPath, express.static(uploads.dir));
+
+  // Still reachable from a blocked address, the demo runs from the attacking one
+  app.use("/api", scenariosRoutes);
+  app.use("/api", playbooksRoutes);
+  app.use("/api", securityRoutes);
+  app.use("/api", playbooks.blockedIps);
+
+  app.use("/api", authRoutes);
+  app.use("/api", postsRoutes);
+  app.use("/api", categoriesRoutes);
+  app.use("/api", reviewsRoutes);
+  app.use("/api", imageRoutes);
+  app.use("/api", picturesRoutes);
+  app.use("/api", downloadRoutes);
+  app.use("/api", cartRoutes);
+  app.use("/api", ordersRoutes);
+  app.use("/api", usersRoutes);
+  app.use("/api", favoritesRoutes);
+  app.use("/api", resetPasswordRoutes);
+  app.use("/api", devRoutes);
+  app.use("/api", adminRoutes);
 
-app.get("/WWW/", (req, res) => {
-  res.send(true);
-});
-app.get("/cankao/admin/", (req, res) => {
-  res.send(true);
-});
+  app.use(metadataRoutes);
 
-app.post("/api/ping", (req, res) => {
-  res.send({ status: true });
-});
+  app.get("/WWW/", (req, res) => {
+    res.send(true);
+  });
+  app.get("/cankao/admin/", (req, res) => {
+    res.send(true);
+  });
+
+  app.post("/api/ping", (req, res) => {
+    res.send({ status: true });
+  });
 
-app.post(
-  "/api/login",
-  passport.authenticate("local", { session: false }),
-  (req, res) => {
-    const token = jwt.sign(req.user, "your_jwt_secret");
-    res.send({ token });
-  }
-);
+  app.get(
+    [
+      "/",
+      "/post/*",
+      "/login",
+      "/signup",
+      "/cart",
+      "/orders",
+      "/favorites",
+      "/search",
+      "/categories",
+      "/categories/*",
+      "/reset-password",
+      "/reset-password/*",
+      "/outbox",
+      "/admin",
+      "/security"
+    ],
+    function(request, response) {
+      response.sendFile(path.resolve(__dirname, "../dist/index.html"));
+    }
+  );
 
-app.get(
-  "/api/user/me",
-  passport.authenticate("jwt", { session: false }),
-  (req, res) => {
-    res.send(req.user);
-  }
-);
+  return app;
+};
 
-app.get(["/", "/post/*", "/login"], function(request, response) {
-  response.sendFile(path.resolve(__dirname, "../dist/index.html"));
-});
+if (require.main === module) {
+  createApp().listen(process.env.PORT || 8000, () =>
+    console.log(`Server runnning on port ${process.env.PORT || "8000"}`)
+  );
+}
 
-app.listen(process.env.PORT || 8000, () =>
-  console.log(`Server runnning on port ${process.env.PORT || "8000"}`)
-);
+module.exports = { createApp };
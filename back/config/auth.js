@@ -1,36 +1,81 @@
-const sqreen = require("sqreen");
 const db = require("./db");
+const jwtConfig = require("./jwt");
+const passwords = require("./passwords");
+const playbooks = require("./playbooks");
+const scenarios = require("./scenarios");
+const sqreen = require("./sqreen");
+const jwt = require("jsonwebtoken");
 const passport = require("passport");
 const LocalStrategy = require("passport-local").Strategy;
 const passportJWT = require("passport-jwt");
 const ExtractJWT = passportJWT.ExtractJwt;
 const JWTStrategy = passportJWT.Strategy;
 
+scenarios.on("change", scenario => {
+  if (scenario.name === "plaintext-passwords" && scenario.mode === "secure") {
+    passwords.migrate(db);
+  }
+});
+
 passport.use(
   new LocalStrategy(
     {
       usernameField: "email",
-      passwordField: "password"
+      passwordField: "password",
+      passReqToCallback: true
     },
-    function(email, password, done) {
+    function(req, email, password, done) {
       db.get(
-        "SELECT USERNAME, ID FROM users WHERE EMAIL = ? AND PASSWORD = ?",
+        "SELECT USERNAME, ID, PASSWORD FROM users WHERE EMAIL = ?",
         email,
-        password,
         function(err, row) {
-          if (!row) return done(null, false);
-          return done(null, row);
+          if (!row) {
+            sqreen.auth_track(false, { email }, req);
+            return done(null, false);
+          }
+          passwords.verify(password, row.PASSWORD, function(err, valid) {
+            if (err || !valid) {
+              sqreen.auth_track(false, { email }, req);
+              return done(null, false);
+            }
+            return done(null, { USERNAME: row.USERNAME, ID: row.ID });
+          });
         }
       );
     }
   )
 );
 
+const JWT_ALGORITHMS = [
+  "none",
+  "HS256",
+  "HS384",
+  "HS512",
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512"
+];
+
 passport.use(
   new JWTStrategy(
     {
       jwtFromRequest: ExtractJWT.fromAuthHeaderAsBearerToken(),
-      secretOrKey: "your_jwt_secret",
+      secretOrKeyProvider: function(req, rawJwtToken, done) {
+        const decoded = jwt.decode(rawJwtToken, { complete: true });
+        const verification =
+          decoded && jwtConfig.verificationKey(decoded.header.alg);
+        if (!verification) return done(new Error("Algorithm not allowed"));
+        done(null, verification.key);
+      },
+      // verificationKey decides which algorithm is acceptable for each token
+      algorithms: JWT_ALGORITHMS,
+      issuer: jwtConfig.issuer,
       passReqToCallback: true
     },
     function(req, jwtPayload, done) {
@@ -39,7 +84,11 @@ passport.use(
         jwtPayload.ID,
         function(err, row) {
           if (!row) return done(null, false);
-          sqreen.identify(req, { email: row.EMAIL });
+          // Sessions a playbook closed, the user has to log in again
+          if (playbooks.mustRelogin(row.ID, jwtPayload.iat)) {
+            return done(null, false);
+          }
+          sqreen.identify(req, { email: row.EMAIL }, row);
           return done(null, row);
         }
       );
@@ -4,11 +4,98 @@ CREATE TABLE USERS (
     "EMAIL" TEXT,
     "PASSWORD" TEXT
 );
+CREATE TABLE CATEGORIES (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "SLUG" TEXT UNIQUE,
+    "NAME" TEXT
+);
 CREATE TABLE POSTS (
     "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
     "TITLE" TEXT,
     "PRICE" TEXT,
-    "PICTURE" TEXT
+    "PICTURE" TEXT,
+    "CATEGORY_ID" INTEGER
+);
+CREATE TABLE RESET_TOKENS (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "USER_ID" INTEGER,
+    "TOKEN" TEXT,
+    "CREATED_AT" INTEGER,
+    "EXPIRES_AT" INTEGER,
+    "USED_AT" INTEGER
+);
+CREATE TABLE OUTBOX (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "RECIPIENT" TEXT,
+    "SUBJECT" TEXT,
+    "BODY" TEXT,
+    "CREATED_AT" INTEGER
+);
+CREATE TABLE REFRESH_TOKENS (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "USER_ID" INTEGER,
+    "TOKEN_HASH" TEXT,
+    "CREATED_AT" INTEGER,
+    "EXPIRES_AT" INTEGER,
+    "REVOKED_AT" INTEGER
+);
+CREATE TABLE CARTS (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "USER_ID" INTEGER UNIQUE,
+    "CREATED_AT" INTEGER
+);
+CREATE TABLE CART_ITEMS (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "CART_ID" INTEGER,
+    "POST_ID" INTEGER,
+    "QUANTITY" INTEGER,
+    UNIQUE ("CART_ID", "POST_ID")
+);
+CREATE TABLE ORDERS (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "USER_ID" INTEGER,
+    "TOTAL" REAL,
+    "CREATED_AT" INTEGER
+);
+CREATE TABLE ORDER_ITEMS (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "ORDER_ID" INTEGER,
+    "POST_ID" INTEGER,
+    "TITLE" TEXT,
+    "UNIT_PRICE" REAL,
+    "QUANTITY" INTEGER
+);
+CREATE TABLE FAVORITES (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "USER_ID" INTEGER,
+    "POST_ID" INTEGER,
+    "CREATED_AT" INTEGER,
+    UNIQUE ("USER_ID", "POST_ID")
+);
+CREATE TABLE REVIEWS (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "POST_ID" INTEGER,
+    "USER_ID" INTEGER,
+    "RATING" INTEGER,
+    "BODY" TEXT,
+    "CREATED_AT" INTEGER
+);
+CREATE TABLE SQREEN_EVENTS (
+    "ID" INTEGER PRIMARY KEY AUTOINCREMENT,
+    "NAME" TEXT,
+    "PROPERTIES" TEXT,
+    "IP" TEXT,
+    "USER_ID" INTEGER,
+    "ROUTE" TEXT,
+    "SCENARIO" TEXT,
+    "URL" TEXT,
+    "PAYLOAD" TEXT,
+    "CREATED_AT" INTEGER
+);
+CREATE TABLE RATE_LIMITS (
+    "KEY" TEXT PRIMARY KEY,
+    "STATE" TEXT,
+    "EXPIRES_AT" INTEGER
 );
 
 INSERT INTO USERS (USERNAME, PASSWORD, EMAIL)
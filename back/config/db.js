@@ -1,14 +1,82 @@
+const { AsyncResource } = require("async_hooks");
+const EventEmitter = require("events");
 const Path = require("path");
 const sqlite3 = require("sqlite3");
+const passwords = require("./passwords");
+const requestContext = require("./request-context");
+const scenarios = require("./scenarios");
+const sqlInjection = require("./sql-injection");
 
 const fs = require("fs");
 
 const dbPath = Path.join(__dirname, "./sqreen-shop-db");
+const isNew = !fs.existsSync(dbPath);
 
-if (!fs.existsSync(dbPath)) {
+if (isNew) {
   require("./init-db");
 }
 
-const db = new sqlite3.Database(dbPath);
+const database = new sqlite3.Database(dbPath);
+
+scenarios.register("sqli-protection", {
+  description:
+    "Queries whose structure was changed by user input are reported, but still run",
+  routes: ["GET /api/posts", "GET /api/posts/:id", "GET /api/posts/search"]
+});
+
+// Same calls as sqlite3.Database, queries are strings or built with `db.sql`.
+// The values of built queries are checked against the inputs of the request
+// running them, injections are emitted as "injection" and, in secure mode of
+// sqli-protection, not run: the callback gets an error with a 403 status.
+const db = new EventEmitter();
+
+db.sql = sqlInjection.sql;
+
+const textOf = sql => (typeof sql === "string" ? sql : sql.text);
+
+// The error a query is refused with, or null
+const blocks = sql => {
+  const context = requestContext.current();
+  if (!context || typeof sql === "string") return null;
+  const injection = sqlInjection.find(sql, sqlInjection.inputsOf(context.req));
+  if (!injection) return null;
+  db.emit("injection", { ...injection, sql: sql.text, req: context.req });
+  if (!scenarios.isSecure("sqli-protection")) return null;
+  return Object.assign(new Error("Request blocked: SQL injection."), {
+    status: 403
+  });
+};
+
+// sqlite3 calls back outside of the request context, bound callbacks keep it.
+// Not AsyncResource.bind: before Node 16.15 it drops the `this` of run
+// callbacks, lastID and changes with it.
+const bindCallback = callback => {
+  const resource = new AsyncResource("db");
+  return function(...args) {
+    return resource.runInAsyncScope(callback, this, ...args);
+  };
+};
+
+const bind = args =>
+  args.map(arg => (typeof arg === "function" ? bindCallback(arg) : arg));
+
+["run", "get", "all", "each", "exec"].forEach(method => {
+  db[method] = (sql, ...args) => {
+    const err = blocks(sql);
+    if (err) {
+      // Called back later, like sqlite3 would
+      const callback = args.filter(arg => typeof arg === "function").pop();
+      if (callback) setImmediate(bindCallback(callback), err);
+    } else {
+      database[method](textOf(sql), ...bind(args));
+    }
+    return db;
+  };
+});
+
+// init-db hashes the seeded users itself, older databases are migrated here
+if (!isNew && scenarios.isSecure("plaintext-passwords")) {
+  passwords.migrate(db);
+}
 
 module.exports = db;
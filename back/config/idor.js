@@ -0,0 +1,12 @@
+const scenarios = require("./scenarios");
+
+// Orders and user profiles are both looked up by id, one scenario covers them
+scenarios.register("idor", {
+  description: "Records are returned by id without checking who owns them",
+  routes: ["GET /api/orders/:id", "GET /api/users/:id"]
+});
+
+// Whether records are only returned to the user owning them
+const checksOwner = () => scenarios.isSecure("idor");
+
+module.exports = { checksOwner };
@@ -2,6 +2,8 @@ const Fs = require("fs");
 const Path = require("path");
 const sqlite3 = require("sqlite3");
 const faker = require("faker");
+const passwords = require("./passwords");
+const scenarios = require("./scenarios");
 const db = new sqlite3.Database(Path.join(__dirname, "./sqreen-shop-db"));
 
 console.log("initializing db...");
@@ -310,18 +312,37 @@ const data = [
   ]
 ];
 
+// Each product goes in the first category whose pattern matches its title
+const categories = [
+  { slug: "lego", name: "Lego", match: /^(Ghostbusters|Batman)/ },
+  { slug: "toy-story", name: "Toy Story", match: /^Toy Story/ },
+  { slug: "video-games", name: "Video games", match: /Plumber/ },
+  { slug: "tv-shows", name: "TV shows", match: /Jon Snow/ }
+];
+
+const categoryOf = title =>
+  categories.find(category => category.match.test(title));
+
+const fakeCategories = categories
+  .map(
+    ({ slug, name }) =>
+      ` INSERT INTO CATEGORIES (SLUG, NAME) VALUES ("${slug}", "${name}");`
+  )
+  .join("\r\n");
+
 const fakePosts = new Array(60)
   .fill()
   .map((val, i) => {
     return {
       picture: data[i][0],
       title: data[i][1],
-      price: data[i][2]
+      price: data[i][2],
+      category: categoryOf(data[i][1]).slug
     };
   })
   .map(
-    ({ title, picture, price }) =>
-      ` INSERT INTO POSTS (TITLE, PICTURE, PRICE) VALUES ("${title}", "${picture}", "${price}");`
+    ({ title, picture, price, category }) =>
+      ` INSERT INTO POSTS (TITLE, PICTURE, PRICE, CATEGORY_ID) VALUES ("${title}", "${picture}", "${price}", (SELECT ID FROM CATEGORIES WHERE SLUG = "${category}"));`
   )
   .join("\r\n");
 
@@ -339,6 +360,13 @@ const fakeUsers = new Array(100)
       ` INSERT INTO USERS (USERNAME, EMAIL, PASSWORD) VALUES ("${username}", "${email}", "${password}");`
   )
   .join("\r\n");
-db.exec(`${init}
+db.exec(
+  `${init}
+${fakeCategories}
 ${fakePosts}
-${fakeUsers}`);
+${fakeUsers}`,
+  function(err) {
+    if (err || !scenarios.isSecure("plaintext-passwords")) return;
+    passwords.migrate(db);
+  }
+);
@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const scenarios = require("./scenarios");
+
+// The secret this app shipped with, found in any JWT cracking dictionary
+const WEAK_SECRET = "your_jwt_secret";
+
+// Routes requiring an access token, where a forged one gets in. They check it
+// on the route itself, not with router.use, for events to carry the pattern.
+const AUTHENTICATED_ROUTES = [
+  "GET /api/user/me",
+  "GET /api/users/:id",
+  "GET /api/orders",
+  "POST /api/orders",
+  "GET /api/orders/:id",
+  "GET /api/cart",
+  "POST /api/cart",
+  "DELETE /api/cart",
+  "DELETE /api/cart/:postId",
+  "GET /api/favorites",
+  "GET /api/favorites/:postId",
+  "PUT /api/favorites/:postId",
+  "DELETE /api/favorites/:postId",
+  "POST /api/posts/:id/reviews",
+  "POST /api/posts/:id/picture",
+  "POST /api/admin/ping"
+];
+
+scenarios.register("jwt-alg-none", {
+  description: "Unsigned tokens (alg: none) are accepted",
+  routes: AUTHENTICATED_ROUTES
+});
+
+scenarios.register("jwt-weak-secret", {
+  description: "HMAC tokens are signed with a dictionary word",
+  routes: ["POST /api/login", ...AUTHENTICATED_ROUTES]
+});
+
+scenarios.register("jwt-key-confusion", {
+  description:
+    "With an RS/ES algorithm, HS tokens are checked against the public key",
+  routes: ["GET /api/token/public-key", ...AUTHENTICATED_ROUTES]
+});
+
+// Plain numbers are seconds, anything else goes to jsonwebtoken as is ("15m")
+const duration = (value, fallback) => {
+  if (!value) return fallback;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+const algorithm = process.env.JWT_ALGORITHM || "HS256";
+const isAsymmetric = /^(RS|PS|ES)/.test(algorithm);
+
+// Without keys in the environment, tokens only live as long as the process
+const generateKeyPair = () =>
+  crypto.generateKeyPairSync(algorithm.startsWith("ES") ? "ec" : "rsa", {
+    modulusLength: 2048,
+    namedCurve: "P-256",
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" }
+  });
+
+const keys =
+  isAsymmetric && !process.env.JWT_PRIVATE_KEY
+    ? generateKeyPair()
+    : {
+        privateKey: process.env.JWT_PRIVATE_KEY,
+        publicKey: process.env.JWT_PUBLIC_KEY
+      };
+
+const secret = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+
+const hmacSecret = () =>
+  scenarios.isSecure("jwt-weak-secret") ? secret : WEAK_SECRET;
+
+const signingKey = () => (isAsymmetric ? keys.privateKey : hmacSecret());
+
+// Key to check a token signed with `alg` against, or null when the
+// current scenarios refuse that algorithm. An empty key accepts no signature.
+const verificationKey = alg => {
+  if (alg === "none") {
+    return scenarios.isSecure("jwt-alg-none") ? null : { key: "" };
+  }
+  if (alg === algorithm) {
+    return { key: isAsymmetric ? keys.publicKey : hmacSecret() };
+  }
+  if (
+    isAsymmetric &&
+    /^HS/.test(alg) &&
+    !scenarios.isSecure("jwt-key-confusion")
+  ) {
+    return { key: keys.publicKey };
+  }
+  return null;
+};
+
+module.exports = {
+  algorithm,
+  isAsymmetric,
+  publicKey: keys.publicKey,
+  signingKey,
+  verificationKey,
+  issuer: process.env.JWT_ISSUER || "sqreen-demo-app",
+  ttl: duration(process.env.JWT_TTL, "15m"),
+  // Refresh tokens are ours, not JWTs: their lifetime is always in seconds
+  refreshTtl: Number(process.env.JWT_REFRESH_TTL) || 60 * 60 * 24 * 30
+};
@@ -0,0 +1,120 @@
+const Fs = require("fs");
+const Path = require("path");
+const db = require("./db");
+
+// Nothing leaves the machine: transports only store what would have been sent.
+// Every transport exposes send/list/clear and lists messages with the same
+// shape: { ID, RECIPIENT, SUBJECT, BODY, CREATED_AT }, newest first.
+
+const createSqliteTransport = () => ({
+  send: ({ to, subject, text }, done) => {
+    db.run(
+      "INSERT INTO OUTBOX (RECIPIENT, SUBJECT, BODY, CREATED_AT) VALUES (?, ?, ?, ?)",
+      to,
+      subject,
+      text,
+      Date.now(),
+      done
+    );
+  },
+  list: ({ to }, done) => {
+    if (to) {
+      return db.all(
+        "SELECT * FROM OUTBOX WHERE RECIPIENT = ? ORDER BY ID DESC LIMIT 100",
+        to,
+        done
+      );
+    }
+    db.all("SELECT * FROM OUTBOX ORDER BY ID DESC LIMIT 100", done);
+  },
+  clear: done => {
+    db.run("DELETE FROM OUTBOX", done);
+  }
+});
+
+const createDirectoryTransport = dir => {
+  const readMessage = file =>
+    JSON.parse(Fs.readFileSync(Path.join(dir, file), "utf-8"));
+  const messageFiles = () =>
+    Fs.existsSync(dir)
+      ? Fs.readdirSync(dir).filter(file => file.endsWith(".json"))
+      : [];
+
+  return {
+    send: ({ to, subject, text }, done) => {
+      const createdAt = Date.now();
+      const id = `${createdAt}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}`;
+      const message = {
+        ID: id,
+        RECIPIENT: to,
+        SUBJECT: subject,
+        BODY: text,
+        CREATED_AT: createdAt
+      };
+      Fs.mkdir(dir, { recursive: true }, err => {
+        if (err) return done(err);
+        Fs.writeFile(
+          Path.join(dir, `${id}.json`),
+          JSON.stringify(message, null, 2),
+          done
+        );
+      });
+    },
+    list: ({ to }, done) => {
+      try {
+        const messages = messageFiles()
+          .map(readMessage)
+          .filter(message => !to || message.RECIPIENT === to)
+          .sort((a, b) => b.CREATED_AT - a.CREATED_AT)
+          .slice(0, 100);
+        done(null, messages);
+      } catch (err) {
+        done(err);
+      }
+    },
+    clear: done => {
+      try {
+        messageFiles().forEach(file => Fs.unlinkSync(Path.join(dir, file)));
+        done(null);
+      } catch (err) {
+        done(err);
+      }
+    }
+  };
+};
+
+const transports = {
+  sqlite: createSqliteTransport,
+  directory: () =>
+    createDirectoryTransport(
+      process.env.MAILER_DIR || Path.join(__dirname, "../outbox")
+    )
+};
+
+const transportName = process.env.MAILER_TRANSPORT || "sqlite";
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAILER_TRANSPORT "${transportName}"`);
+}
+let transport = transports[transportName]();
+
+const send = (message, done = () => {}) => transport.send(message, done);
+
+const list = (filters, done) => transport.list(filters, done);
+
+const clear = (done = () => {}) => transport.clear(done);
+
+// Lets an embedding harness capture emails its own way
+const setTransport = newTransport => {
+  transport = newTransport;
+};
+
+module.exports = {
+  send,
+  list,
+  clear,
+  setTransport,
+  createSqliteTransport,
+  createDirectoryTransport
+};
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const scenarios = require("./scenarios");
+
+const KEY_LENGTH = 64;
+const PREFIX = "scrypt$";
+
+scenarios.register("plaintext-passwords", {
+  description: "Passwords are stored in clear text in the USERS table",
+  routes: [
+    "POST /api/login",
+    "POST /api/register",
+    "POST /api/reset-password/:token"
+  ]
+});
+
+const isHashed = stored =>
+  typeof stored === "string" && stored.startsWith(PREFIX);
+
+// Stored as scrypt$<salt>$<derived key>, both hex encoded
+const hash = (password, done) => {
+  const salt = crypto.randomBytes(16);
+  crypto.scrypt(String(password), salt, KEY_LENGTH, (err, key) => {
+    if (err) return done(err);
+    done(null, `${PREFIX}${salt.toString("hex")}$${key.toString("hex")}`);
+  });
+};
+
+// Hashing both sides first keeps timingSafeEqual away from length leaks
+const safeCompare = (a, b) =>
+  crypto.timingSafeEqual(
+    crypto
+      .createHash("sha256")
+      .update(String(a))
+      .digest(),
+    crypto
+      .createHash("sha256")
+      .update(String(b))
+      .digest()
+  );
+
+// Accepts both formats, so flipping the scenario never locks anybody out
+const verify = (password, stored, done) => {
+  if (!isHashed(stored)) return done(null, safeCompare(password, stored));
+  const [salt, key] = stored.slice(PREFIX.length).split("$");
+  crypto.scrypt(
+    String(password),
+    Buffer.from(salt, "hex"),
+    KEY_LENGTH,
+    (err, derived) => {
+      if (err) return done(err);
+      done(null, crypto.timingSafeEqual(derived, Buffer.from(key, "hex")));
+    }
+  );
+};
+
+// What ends up in USERS.PASSWORD for a new password
+const encode = (password, done) => {
+  if (!scenarios.isSecure("plaintext-passwords")) return done(null, password);
+  hash(password, done);
+};
+
+// Hashes every password still stored in clear text
+const migrate = (db, done = () => {}) => {
+  db.all(
+    "SELECT ID, PASSWORD FROM USERS WHERE PASSWORD NOT LIKE ?",
+    `${PREFIX}%`,
+    function(err, rows) {
+      if (err) return done(err);
+      let pending = rows.length;
+      if (!pending) return done(null, 0);
+      rows.forEach(row =>
+        hash(row.PASSWORD, (err, hashed) => {
+          if (!err) {
+            db.run(
+              "UPDATE USERS SET PASSWORD = ? WHERE ID = ? AND PASSWORD = ?",
+              hashed,
+              row.ID,
+              row.PASSWORD
+            );
+          }
+          pending = pending - 1;
+          if (!pending) done(null, rows.length);
+        })
+      );
+    }
+  );
+};
+
+module.exports = { isHashed, hash, verify, encode, migrate };
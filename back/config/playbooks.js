@@ -0,0 +1,150 @@
+const EventEmitter = require("events");
+const Fs = require("fs");
+const Path = require("path");
+const mailer = require("./mailer");
+const scenarios = require("./scenarios");
+const securityEvents = require("./security-events");
+const sqreen = require("./sqreen");
+const tokens = require("./tokens");
+
+const SWEEP_INTERVAL = 60 * 1000;
+const ALERT_EMAIL = process.env.PLAYBOOK_ALERT_EMAIL || "security@sqreen.io";
+
+// Rules are read once at startup, PLAYBOOKS_FILE points to another set.
+// A rule counts the events named `event` per `groupBy` value (ip or userId),
+// or the distinct values of `distinct` among them, over `windowSeconds`.
+// Going over `threshold` runs `actions` and starts the count again.
+const readRules = () =>
+  JSON.parse(
+    Fs.readFileSync(
+      process.env.PLAYBOOKS_FILE || Path.join(__dirname, "playbooks.json"),
+      "utf-8"
+    )
+  );
+
+const playbooks = new EventEmitter();
+// One listener per open /api/security/stream
+playbooks.setMaxListeners(0);
+
+// Ip => { until, rule }
+const blocks = new Map();
+// User id => the time before which their access tokens are refused
+const reloginCutoffs = new Map();
+
+const actions = {
+  "block-ip": ({ durationSeconds = 300 }, { rule, event }) => {
+    if (!event.ip) return;
+    blocks.set(event.ip, {
+      until: Date.now() + durationSeconds * 1000,
+      rule: rule.name
+    });
+  },
+  "require-relogin": (options, { event }) => {
+    if (event.userId === undefined) return;
+    reloginCutoffs.set(event.userId, Date.now());
+    tokens.revokeAllForUser(event.userId, () => {});
+  },
+  alert: (options, { rule, group }) => {
+    const subject = `Playbook "${rule.name}" triggered`;
+    const text = `${subject} for ${rule.groupBy} ${group}. ${rule.description}`;
+    console.warn(text);
+    mailer.send({ to: ALERT_EMAIL, subject, text });
+  }
+};
+
+const rules = readRules().map(rule => {
+  rule.actions.forEach(action => {
+    if (!actions[action.type]) {
+      throw new Error(`Unknown playbook action "${action.type}"`);
+    }
+  });
+  // Group value => [{ at, value }], oldest first
+  return { ...rule, windows: new Map() };
+});
+
+// Rules tied to a scenario only run while it is secure
+const isEnabled = rule => {
+  if (!rule.scenario) return true;
+  const scenario = scenarios.get(rule.scenario);
+  return Boolean(scenario) && scenario.mode === "secure";
+};
+
+const count = (entries, distinct) =>
+  distinct ? new Set(entries.map(entry => entry.value)).size : entries.length;
+
+const evaluate = (rule, event) => {
+  const group = event[rule.groupBy];
+  if (group === undefined || !isEnabled(rule)) return;
+  const since = event.createdAt - rule.windowSeconds * 1000;
+  const entries = (rule.windows.get(group) || []).filter(
+    entry => entry.at > since
+  );
+  entries.push({ at: event.createdAt, value: event[rule.distinct] });
+  if (count(entries, rule.distinct) <= rule.threshold) {
+    rule.windows.set(group, entries);
+    return;
+  }
+  rule.windows.delete(group);
+  const context = { rule, group, event };
+  rule.actions.forEach(action => actions[action.type](action, context));
+  playbooks.emit("trigger", context);
+};
+
+sqreen.on("event", event => {
+  rules
+    .filter(rule => rule.event === event.name)
+    .forEach(rule => evaluate(rule, event));
+});
+
+setInterval(() => {
+  const now = Date.now();
+  rules.forEach(rule => {
+    rule.windows.forEach((entries, group) => {
+      const last = entries[entries.length - 1];
+      if (last.at <= now - rule.windowSeconds * 1000) {
+        rule.windows.delete(group);
+      }
+    });
+  });
+  blocks.forEach((block, ip) => {
+    if (block.until <= now) blocks.delete(ip);
+  });
+}, SWEEP_INTERVAL).unref();
+
+// Refuses requests from the addresses a playbook blocked
+playbooks.blockedIps = (req, res, next) => {
+  const block = blocks.get(req.ip);
+  if (!block || block.until <= Date.now()) return next();
+  securityEvents.blocked(req, { playbook: block.rule });
+  res.set("Retry-After", String(Math.ceil((block.until - Date.now()) / 1000)));
+  res.status(403).send({ error: "Your IP address has been blocked." });
+};
+
+// `issuedAt` is the iat claim of an access token, in seconds. The login
+// setting off a rule gets its token within the second of the cutoff, tokens
+// of that second are refused with it.
+playbooks.mustRelogin = (userId, issuedAt) =>
+  reloginCutoffs.has(userId) &&
+  issuedAt <= Math.floor(reloginCutoffs.get(userId) / 1000);
+
+playbooks.list = () => ({
+  rules: rules.map(rule => ({
+    name: rule.name,
+    description: rule.description,
+    scenario: rule.scenario,
+    event: rule.event,
+    threshold: rule.threshold,
+    windowSeconds: rule.windowSeconds,
+    actions: rule.actions.map(action => action.type),
+    enabled: isEnabled(rule)
+  })),
+  blocks: Array.from(blocks, ([ip, block]) => ({ ip, ...block }))
+});
+
+// Lifts the block on `ip`, or on every address without one
+playbooks.unblock = ip => {
+  if (ip) blocks.delete(ip);
+  else blocks.clear();
+};
+
+module.exports = playbooks;
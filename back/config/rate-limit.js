@@ -0,0 +1,177 @@
+const db = require("./db");
+const scenarios = require("./scenarios");
+const securityEvents = require("./security-events");
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Each algorithm turns the stored state of a key into its next state.
+// `reset` is when the quota is whole again, `retry` when one more request
+// would pass, both in milliseconds from now.
+const algorithms = {
+  // At most `limit` requests per window, the window starts with the first one
+  "fixed-window": ({ limit, windowMs }) => (state, now) => {
+    const current =
+      state && now < state.start + windowMs ? state : { start: now, count: 0 };
+    const allowed = current.count < limit;
+    const count = allowed ? current.count + 1 : current.count;
+    const reset = current.start + windowMs - now;
+    return {
+      state: { start: current.start, count },
+      allowed,
+      remaining: limit - count,
+      reset,
+      retry: reset,
+      ttl: reset
+    };
+  },
+  // Holds `limit` tokens, refilled continuously over `windowMs`
+  "token-bucket": ({ limit, windowMs }) => (state, now) => {
+    const perMs = limit / windowMs;
+    const refilled = state
+      ? Math.min(limit, state.tokens + (now - state.updatedAt) * perMs)
+      : limit;
+    const allowed = refilled >= 1;
+    const tokens = allowed ? refilled - 1 : refilled;
+    const reset = (limit - tokens) / perMs;
+    return {
+      state: { tokens, updatedAt: now },
+      allowed,
+      remaining: Math.floor(tokens),
+      reset,
+      retry: allowed ? 0 : (1 - tokens) / perMs,
+      ttl: reset
+    };
+  }
+};
+
+// Stores apply `step` to the state of a key, one call at a time per key
+const createMemoryStore = () => {
+  const entries = new Map();
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, SWEEP_INTERVAL).unref();
+  return {
+    update: (key, step, done) => {
+      const now = Date.now();
+      const entry = entries.get(key);
+      const result = step(
+        entry && entry.expiresAt > now ? entry.state : null,
+        now
+      );
+      entries.set(key, { state: result.state, expiresAt: now + result.ttl });
+      done(null, result);
+    }
+  };
+};
+
+// Survives restarts. Updates of a key are queued, sqlite calls are async.
+const createSqliteStore = database => {
+  const queues = new Map();
+  setInterval(() => {
+    database.run("DELETE FROM RATE_LIMITS WHERE EXPIRES_AT <= ?", Date.now());
+  }, SWEEP_INTERVAL).unref();
+  const apply = (key, step, done) => {
+    database.get(
+      "SELECT STATE FROM RATE_LIMITS WHERE KEY = ? AND EXPIRES_AT > ?",
+      key,
+      Date.now(),
+      function(err, row) {
+        if (err) return done(err);
+        const now = Date.now();
+        const result = step(row ? JSON.parse(row.STATE) : null, now);
+        database.run(
+          "INSERT OR REPLACE INTO RATE_LIMITS (KEY, STATE, EXPIRES_AT) VALUES (?, ?, ?)",
+          key,
+          JSON.stringify(result.state),
+          now + result.ttl,
+          err => done(err, result)
+        );
+      }
+    );
+  };
+  const drain = key => {
+    const [{ step, done }] = queues.get(key);
+    apply(key, step, (err, result) => {
+      const queue = queues.get(key);
+      queue.shift();
+      if (queue.length) drain(key);
+      else queues.delete(key);
+      done(err, result);
+    });
+  };
+  return {
+    update: (key, step, done) => {
+      if (queues.has(key)) return queues.get(key).push({ step, done });
+      queues.set(key, [{ step, done }]);
+      drain(key);
+    }
+  };
+};
+
+const stores = {
+  memory: createMemoryStore,
+  sqlite: () => createSqliteStore(db)
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || "memory";
+if (!stores[storeName]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}"`);
+}
+const defaultStore = stores[storeName]();
+
+// What requests are counted together. User ids need an authenticated route.
+const keys = {
+  ip: req => req.ip,
+  user: req => (req.user ? `user:${req.user.ID}` : req.ip),
+  email: req =>
+    req.body && req.body.email
+      ? `email:${String(req.body.email).toLowerCase()}`
+      : req.ip
+};
+
+const seconds = ms => Math.ceil(ms / 1000);
+
+// Limits are only enforced while `scenario` is in secure mode
+const rateLimit = ({
+  name,
+  scenario,
+  algorithm = "fixed-window",
+  limit,
+  windowMs,
+  key = "ip",
+  store = defaultStore
+}) => {
+  if (!algorithms[algorithm]) {
+    throw new Error(`Unknown rate limit algorithm "${algorithm}"`);
+  }
+  const step = algorithms[algorithm]({ limit, windowMs });
+  const keyOf = typeof key === "function" ? key : keys[key];
+  return (req, res, next) => {
+    if (scenario && !scenarios.isSecure(scenario)) return next();
+    store.update(`${name}:${keyOf(req)}`, step, (err, result) => {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      const remaining = Math.max(result.remaining, 0);
+      // With several limits on a route, the headers show the tightest one
+      const previous = res.get("RateLimit-Remaining");
+      if (previous === undefined || remaining < Number(previous)) {
+        res.set("RateLimit-Limit", String(limit));
+        res.set("RateLimit-Remaining", String(remaining));
+        res.set("RateLimit-Reset", String(seconds(result.reset)));
+      }
+      if (result.allowed) return next();
+      securityEvents.blocked(req, { limit: name, scenario });
+      res.set("Retry-After", String(seconds(result.retry)));
+      res.status(429).send({ error: "Too many requests, try again later." });
+    });
+  };
+};
+
+module.exports = {
+  rateLimit,
+  algorithms,
+  createMemoryStore,
+  createSqliteStore
+};
@@ -0,0 +1,11 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// The request being handled, for code it is not handed to, like db
+const storage = new AsyncLocalStorage();
+
+const middleware = (req, res, next) => storage.run({ req, res }, next);
+
+// { req, res }, or undefined outside of a request
+const current = () => storage.getStore();
+
+module.exports = { middleware, current };
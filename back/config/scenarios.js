@@ -0,0 +1,44 @@
+const EventEmitter = require("events");
+
+const MODES = ["vulnerable", "secure"];
+
+const scenarios = new EventEmitter();
+const registry = new Map();
+
+// SCENARIO_SQLI_POST_BY_ID=secure starts "sqli-post-by-id" in secure mode
+const envName = name => `SCENARIO_${name.toUpperCase().replace(/-/g, "_")}`;
+
+const readEnvMode = name => {
+  const mode = process.env[envName(name)] || process.env.SCENARIO_DEFAULT_MODE;
+  return MODES.includes(mode) ? mode : "vulnerable";
+};
+
+scenarios.register = (name, { description, routes = [] }) => {
+  if (!registry.has(name)) {
+    registry.set(name, { name, description, routes, mode: readEnvMode(name) });
+  }
+  return registry.get(name);
+};
+
+scenarios.get = name => registry.get(name);
+
+scenarios.list = () => Array.from(registry.values());
+
+scenarios.isSecure = name => {
+  const scenario = registry.get(name);
+  if (!scenario) throw new Error(`Unknown scenario "${name}"`);
+  return scenario.mode === "secure";
+};
+
+scenarios.setMode = (name, mode) => {
+  const scenario = registry.get(name);
+  if (!scenario) throw new Error(`Unknown scenario "${name}"`);
+  if (!MODES.includes(mode)) throw new Error(`Unknown mode "${mode}"`);
+  scenario.mode = mode;
+  scenarios.emit("change", scenario);
+  return scenario;
+};
+
+scenarios.MODES = MODES;
+
+module.exports = scenarios;
@@ -0,0 +1,185 @@
+const EventEmitter = require("events");
+const db = require("./db");
+const scenarios = require("./scenarios");
+const sqreen = require("./sqreen");
+
+// Every sqreen call is kept in SQREEN_EVENTS, whichever agent is used, then
+// emitted as an "event" with the shape `list` returns.
+const securityEvents = new EventEmitter();
+// One listener per open /api/security/stream
+securityEvents.setMaxListeners(0);
+
+const record = event => {
+  const scenario = scenarioOf(event);
+  db.run(
+    "INSERT INTO SQREEN_EVENTS (NAME, PROPERTIES, IP, USER_ID, ROUTE, SCENARIO, URL, PAYLOAD, CREATED_AT) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+    event.name,
+    JSON.stringify(event.properties),
+    event.ip,
+    event.userId,
+    event.route,
+    scenario,
+    event.url,
+    JSON.stringify(event.payload),
+    event.createdAt,
+    function(err) {
+      if (err) return console.error("Could not record a sqreen event", err);
+      securityEvents.emit("event", {
+        id: this.lastID,
+        ...event,
+        scenarios: scenariosOf(scenario, event.route)
+      });
+    }
+  );
+};
+
+sqreen.on("event", record);
+
+db.on("injection", ({ req, source, value, sql }) => {
+  attack(req, "sqli-protection", {
+    parameter: source,
+    input: value,
+    query: sql
+  });
+});
+
+// Attacks and blocked requests name their scenario in their properties
+const scenarioOf = event =>
+  (event.properties && event.properties.scenario) || null;
+
+const scenarioRoutes = name => {
+  const scenario = scenarios.get(name);
+  return scenario ? scenario.routes : [];
+};
+
+// An event belongs to the scenario it names, or to every scenario listing
+// its route
+const belongsTo = (scenario, name, route) =>
+  scenario ? scenario === name : scenarioRoutes(name).includes(route);
+
+const scenariosOf = (scenario, route) =>
+  scenarios
+    .list()
+    .filter(({ name }) => belongsTo(scenario, name, route))
+    .map(({ name }) => name);
+
+const toEvent = row => ({
+  id: row.ID,
+  name: row.NAME,
+  properties: JSON.parse(row.PROPERTIES),
+  ip: row.IP,
+  userId: row.USER_ID,
+  route: row.ROUTE,
+  url: row.URL,
+  payload: row.PAYLOAD ? JSON.parse(row.PAYLOAD) : null,
+  scenarios: scenariosOf(row.SCENARIO, row.ROUTE),
+  createdAt: row.CREATED_AT
+});
+
+const placeholders = values => values.map(() => "?").join(", ");
+
+// Filters are all optional, `since` and `until` are timestamps in ms
+const conditions = ({ name, ip, userId, route, scenario, since, until }) => {
+  const clauses = [];
+  const params = [];
+  const add = (clause, ...values) => {
+    clauses.push(clause);
+    params.push(...values);
+  };
+  if (name) add("NAME = ?", name);
+  if (ip) add("IP = ?", ip);
+  if (userId) add("USER_ID = ?", userId);
+  if (route) add("ROUTE = ?", route);
+  if (scenario) {
+    const routes = scenarioRoutes(scenario);
+    add(
+      `(SCENARIO = ? OR (SCENARIO IS NULL AND ROUTE IN (${placeholders(
+        routes
+      )})))`,
+      scenario,
+      ...routes
+    );
+  }
+  if (since) add("CREATED_AT >= ?", since);
+  if (until) add("CREATED_AT < ?", until);
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "",
+    params
+  };
+};
+
+// done(err, { total, events }), newest first
+const list = (filters, { limit, offset }, done) => {
+  const { where, params } = conditions(filters);
+  db.get(
+    `SELECT COUNT(*) AS TOTAL FROM SQREEN_EVENTS ${where}`,
+    ...params,
+    function(err, count) {
+      if (err) return done(err);
+      db.all(
+        `SELECT * FROM SQREEN_EVENTS ${where} ORDER BY ID DESC LIMIT ? OFFSET ?`,
+        ...params,
+        limit,
+        offset,
+        function(err, rows) {
+          if (err) return done(err);
+          done(null, { total: count.TOTAL, events: rows.map(toEvent) });
+        }
+      );
+    }
+  );
+};
+
+// Events per scenario over the last `buckets` periods of `bucketMs`
+const stats = ({ buckets, bucketMs }, done) => {
+  const first = Math.floor(Date.now() / bucketMs) - buckets + 1;
+  db.all(
+    "SELECT ROUTE, SCENARIO, CAST(CREATED_AT / ? AS INTEGER) AS BUCKET, COUNT(*) AS COUNT FROM SQREEN_EVENTS WHERE CREATED_AT >= ? GROUP BY ROUTE, SCENARIO, BUCKET",
+    bucketMs,
+    first * bucketMs,
+    function(err, rows) {
+      if (err) return done(err);
+      done(
+        null,
+        scenarios.list().map(scenario => {
+          const counts = new Array(buckets).fill(0);
+          rows
+            .filter(row => belongsTo(row.SCENARIO, scenario.name, row.ROUTE))
+            .forEach(row => {
+              counts[row.BUCKET - first] += row.COUNT;
+            });
+          return {
+            name: scenario.name,
+            mode: scenario.mode,
+            total: counts.reduce((sum, count) => sum + count, 0),
+            buckets: counts.map((count, i) => ({
+              start: (first + i) * bucketMs,
+              count
+            }))
+          };
+        })
+      );
+    }
+  );
+};
+
+// Requests refused in secure mode. `details` says what gave the attack away.
+const attack = (req, scenario, details) => {
+  sqreen.track(
+    "attack-detected",
+    { properties: { scenario, ...details } },
+    req
+  );
+};
+
+// Requests refused because of who sends them, not what they hold
+const blocked = (req, reason) => {
+  sqreen.track("request-blocked", { properties: reason }, req);
+};
+
+securityEvents.list = list;
+securityEvents.stats = stats;
+securityEvents.attack = attack;
+securityEvents.blocked = blocked;
+
+module.exports = securityEvents;
@@ -0,0 +1,122 @@
+// Tells whether user input changed the structure of a SQL query. Input that
+// was bound with `?` never shows up in the query text. Input that does must
+// stay inside a single token, within the quotes of a string, to be harmless.
+// Only the values a query was built from are looked at: the rest of its text
+// is the query's own, even when it happens to match an input.
+
+// Enough of SQLite's syntax to tell literals, identifiers, comments and
+// operators apart. Alternatives are tried in order, first match wins.
+const TOKEN = /\s+|--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|'(?:[^']|'')*'?|"(?:[^"]|"")*"?|`[^`]*`?|\[[^\]]*\]?|0x[0-9a-f]+|\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_][\w$]*|\?\d*|[:@$]\w+|\|\||<<|>>|<=|>=|==|!=|<>|[\s\S]/gi;
+
+const typeOf = text => {
+  if (/^\s/.test(text)) return "whitespace";
+  if (/^(--|\/\*)/.test(text)) return "comment";
+  if (text[0] === "'") return "string";
+  if (/^["`[]/.test(text)) return "identifier";
+  if (/^\.?\d/.test(text)) return "number";
+  if (/^[a-z_]/i.test(text)) return "word";
+  if (/^[?:@$]./.test(text) || text === "?") return "parameter";
+  return "operator";
+};
+
+const tokenize = sql => {
+  const tokens = [];
+  let match;
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(sql))) {
+    const type = typeOf(match[0]);
+    if (type !== "whitespace") {
+      tokens.push({
+        type,
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+  }
+  return tokens;
+};
+
+// Tag for queries built from strings, `sql\`... ${value}\`` gives the query
+// text and the spans of its values. A query built with `sql` nests as is,
+// its own text stays static.
+const built = new WeakSet();
+
+const sql = (strings, ...values) => {
+  const query = values.reduce(
+    (query, value, i) => {
+      const start = query.text.length;
+      const nested = built.has(value)
+        ? value
+        : {
+            text: String(value),
+            spans: [{ start: 0, end: String(value).length }]
+          };
+      return {
+        text: query.text + nested.text + strings[i + 1],
+        spans: query.spans.concat(
+          nested.spans.map(span => ({
+            start: start + span.start,
+            end: start + span.end
+          }))
+        )
+      };
+    },
+    { text: strings[0], spans: [] }
+  );
+  built.add(query);
+  return query;
+};
+
+// Every string and number the client sent, with where it came from
+const inputsOf = req => {
+  const inputs = [];
+  const collect = (value, source) => {
+    if (typeof value === "string" || typeof value === "number") {
+      inputs.push({ source, value: String(value) });
+    } else if (value && typeof value === "object") {
+      Object.keys(value).forEach(key =>
+        collect(value[key], `${source}.${key}`)
+      );
+    }
+  };
+  collect(req.params, "params");
+  collect(req.query, "query");
+  collect(req.body, "body");
+  return inputs;
+};
+
+// Quotes belong to the query, an input reaching them closed the string
+const isQuoted = token =>
+  token.type === "string" || token.type === "identifier";
+
+const alters = (tokens, start, end) => {
+  const touched = tokens.filter(
+    token => token.start < end && token.end > start
+  );
+  if (touched.length > 1) return true;
+  if (!touched.length) return false;
+  const [token] = touched;
+  if (token.type === "comment") return true;
+  return isQuoted(token) && (start <= token.start || end >= token.end);
+};
+
+// The first input changing the structure of a query built with `sql`, or null
+const find = ({ text, spans }, inputs) => {
+  const tokens = tokenize(text);
+  for (const input of inputs) {
+    if (!input.value.trim()) continue;
+    for (const span of spans) {
+      let start = text.indexOf(input.value, span.start);
+      while (start !== -1 && start + input.value.length <= span.end) {
+        if (alters(tokens, start, start + input.value.length)) {
+          return { ...input, tokens: tokens.map(token => token.text) };
+        }
+        start = text.indexOf(input.value, start + 1);
+      }
+    }
+  }
+  return null;
+};
+
+module.exports = { sql, tokenize, inputsOf, find };
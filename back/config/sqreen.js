@@ -0,0 +1,77 @@
+// The hosted agent instruments modules as they load, it comes first.
+// SQREEN_AGENT=hosted or local, hosted by default once SQREEN_TOKEN is set.
+const agentName =
+  process.env.SQREEN_AGENT || (process.env.SQREEN_TOKEN ? "hosted" : "local");
+if (!["hosted", "local"].includes(agentName)) {
+  throw new Error(`Unknown SQREEN_AGENT "${agentName}"`);
+}
+const hosted = agentName === "hosted";
+const agent = hosted ? require("sqreen") : require("./sqreen-local");
+const EventEmitter = require("events");
+const local = require("./sqreen-local");
+
+// Same API as the agent. Every call is also emitted as an "event", recorded
+// by security-events and read by the local playbooks. The hosted agent finds
+// the current request through its instrumentation, we need it passed along:
+// that is the extra `req` argument.
+const sqreen = new EventEmitter();
+
+const SECRET_FIELD = /pass|token|secret/i;
+
+const redact = fields =>
+  Object.keys(fields || {}).reduce(
+    (redacted, field) => ({
+      ...redacted,
+      [field]: SECRET_FIELD.test(field) ? "[redacted]" : fields[field]
+    }),
+    {}
+  );
+
+// `route` is the route pattern, as listed in the scenarios, when known.
+// `user` defaults to req.user, set by passport once authentication is over.
+const describe = (name, properties, req, user = req && req.user) => ({
+  name,
+  properties,
+  ip: req && req.ip,
+  userId: user ? user.ID : undefined,
+  route:
+    req &&
+    `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+  url: req && req.originalUrl,
+  payload: req && { query: redact(req.query), body: redact(req.body) },
+  createdAt: Date.now()
+});
+
+const publish = (name, properties, req, user) => {
+  sqreen.emit("event", describe(name, properties, req, user));
+};
+
+sqreen.track = (name, options = {}, req) => {
+  agent.track(name, options, req);
+  publish(name, options.properties || {}, req);
+};
+
+// Called while authenticating, before passport sets req.user: `user` is who
+// the request turned out to be
+sqreen.identify = (req, identity, user) => {
+  agent.identify(req, identity);
+  publish("identify", identity, req, user);
+};
+
+// `user` is the account just created
+sqreen.signup_track = (identity, req, user) => {
+  agent.signup_track(identity, req);
+  publish("signup", identity, req, user);
+};
+
+sqreen.auth_track = (success, identity, req) => {
+  agent.auth_track(success, identity, req);
+  publish(success ? "auth-success" : "auth-failure", identity, req);
+};
+
+sqreen.hosted = hosted;
+
+// Sets the headers the hosted agent would have set
+sqreen.middleware = hosted ? (req, res, next) => next() : local.middleware;
+
+module.exports = sqreen;
@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const db = require("./db");
+const jwtConfig = require("./jwt");
+
+// Only a digest of refresh tokens is stored, a database leak does not leak them
+const digest = token =>
+  crypto
+    .createHash("sha256")
+    .update(String(token))
+    .digest("hex");
+
+const signAccessToken = user =>
+  jwt.sign({ USERNAME: user.USERNAME, ID: user.ID }, jwtConfig.signingKey(), {
+    algorithm: jwtConfig.algorithm,
+    expiresIn: jwtConfig.ttl,
+    issuer: jwtConfig.issuer
+  });
+
+// Returns a fresh { token, refreshToken } pair for the user
+const issue = (user, done) => {
+  const refreshToken = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+  db.run(
+    "INSERT INTO REFRESH_TOKENS (USER_ID, TOKEN_HASH, CREATED_AT, EXPIRES_AT) VALUES (?, ?, ?, ?)",
+    user.ID,
+    digest(refreshToken),
+    now,
+    now + jwtConfig.refreshTtl * 1000,
+    function(err) {
+      if (err) return done(err);
+      done(null, { token: signAccessToken(user), refreshToken });
+    }
+  );
+};
+
+const revokeAllForUser = (userId, done) => {
+  db.run(
+    "UPDATE REFRESH_TOKENS SET REVOKED_AT = ? WHERE USER_ID = ? AND REVOKED_AT IS NULL",
+    Date.now(),
+    userId,
+    done
+  );
+};
+
+// Refresh tokens are single use. Presenting a revoked one means it leaked,
+// every session of that user is closed. done(null, false) when refused.
+const rotate = (refreshToken, done) => {
+  db.get(
+    "SELECT REFRESH_TOKENS.ID, USER_ID, EXPIRES_AT, REVOKED_AT, USERNAME FROM REFRESH_TOKENS JOIN USERS ON USERS.ID = USER_ID WHERE TOKEN_HASH = ?",
+    digest(refreshToken),
+    function(err, row) {
+      if (err) return done(err);
+      if (!row) return done(null, false);
+      if (row.REVOKED_AT) {
+        return revokeAllForUser(row.USER_ID, err => done(err, false));
+      }
+      if (row.EXPIRES_AT < Date.now()) return done(null, false);
+      db.run(
+        "UPDATE REFRESH_TOKENS SET REVOKED_AT = ? WHERE ID = ? AND REVOKED_AT IS NULL",
+        Date.now(),
+        row.ID,
+        function(err) {
+          if (err) return done(err);
+          // Lost a race against another refresh with the same token
+          if (!this.changes) return done(null, false);
+          issue({ ID: row.USER_ID, USERNAME: row.USERNAME }, done);
+        }
+      );
+    }
+  );
+};
+
+const revoke = (refreshToken, done) => {
+  db.run(
+    "UPDATE REFRESH_TOKENS SET REVOKED_AT = ? WHERE TOKEN_HASH = ? AND REVOKED_AT IS NULL",
+    Date.now(),
+    digest(refreshToken),
+    done
+  );
+};
+
+module.exports = { issue, rotate, revoke, revokeAllForUser };
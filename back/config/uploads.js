@@ -0,0 +1,10 @@
+const Fs = require("fs");
+const Path = require("path");
+
+// Uploaded files live here and are served under /uploads
+const dir = Path.resolve(
+  process.env.UPLOADS_DIR || Path.join(__dirname, "../uploads")
+);
+Fs.mkdirSync(dir, { recursive: true });
+
+module.exports = { dir, publicPath: "/uploads" };
@@ -0,0 +1,56 @@
+const { exec, execFile } = require("child_process");
+const net = require("net");
+const express = require("express");
+const { passport } = require("../config/auth");
+const scenarios = require("../config/scenarios");
+const securityEvents = require("../config/security-events");
+
+const router = express.Router();
+
+const authenticate = passport.authenticate("jwt", { session: false });
+
+scenarios.register("command-injection", {
+  description: "The host to ping is pasted into a shell command",
+  routes: ["POST /api/admin/ping"]
+});
+
+const PING_ARGS = ["-c", "1", "-W", "2"];
+const TIMEOUT = 10000;
+
+const LABEL = "[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?";
+const HOSTNAME = new RegExp(`^(?=.{1,253}$)${LABEL}(\\.${LABEL})*$`, "i");
+
+const isHost = host => net.isIP(host) !== 0 || HOSTNAME.test(host);
+
+// A failed ping is still a diagnostic, its output is sent back as well
+const sendOutput = res => (err, stdout, stderr) => {
+  if (err && err.code === "ENOENT") {
+    return res.status(500).send({ error: "ping is not installed." });
+  }
+  res.send({
+    exitCode: err ? err.code : 0,
+    output: `${stdout}${stderr}`
+  });
+};
+
+router.post("/admin/ping", authenticate, (req, res) => {
+  const host = String(req.body.host || "").trim();
+  if (!scenarios.isSecure("command-injection")) {
+    // The shell reads ; && | $() and backticks in host as commands
+    return exec(
+      `ping ${PING_ARGS.join(" ")} ${host}`,
+      { timeout: TIMEOUT },
+      sendOutput(res)
+    );
+  }
+  if (!isHost(host)) {
+    securityEvents.attack(req, "command-injection", { host });
+    return res
+      .status(400)
+      .send({ error: "host must be a hostname or an IP address." });
+  }
+  // No shell involved, host can only ever be a single argument of ping
+  execFile("ping", [...PING_ARGS, host], { timeout: TIMEOUT }, sendOutput(res));
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+const express = require("express");
+const { passport } = require("../config/auth");
+const db = require("../config/db");
+const jwtConfig = require("../config/jwt");
+const mailer = require("../config/mailer");
+const passwords = require("../config/passwords");
+const { rateLimit } = require("../config/rate-limit");
+const scenarios = require("../config/scenarios");
+const sqreen = require("../config/sqreen");
+const tokens = require("../config/tokens");
+
+const router = express.Router();
+
+const SIGNUP_MESSAGE = "Check your inbox to finish signing up.";
+
+scenarios.register("register-enumeration", {
+  description: "Signing up with a taken email tells that the account exists",
+  routes: ["POST /api/register"]
+});
+
+scenarios.register("login-brute-force", {
+  description: "Login attempts are not rate limited",
+  routes: ["POST /api/login"]
+});
+
+scenarios.register("session-sharing", {
+  description:
+    "An account stays logged in from any number of addresses at once",
+  routes: ["POST /api/login"]
+});
+
+scenarios.register("signup-spam", {
+  description: "Accounts can be created in bulk from a single address",
+  routes: ["POST /api/register"]
+});
+
+const loginLimits = [
+  // Guessing the password of one account, from any number of addresses
+  rateLimit({
+    name: "login-email",
+    scenario: "login-brute-force",
+    algorithm: "token-bucket",
+    key: "email",
+    limit: 5,
+    windowMs: 15 * 60 * 1000
+  }),
+  // Trying a few passwords on many accounts from one address
+  rateLimit({
+    name: "login-ip",
+    scenario: "login-brute-force",
+    limit: 30,
+    windowMs: 60 * 1000
+  })
+];
+
+const registerLimit = rateLimit({
+  name: "register-ip",
+  scenario: "signup-spam",
+  limit: 5,
+  windowMs: 60 * 60 * 1000
+});
+
+router.post(
+  "/login",
+  loginLimits,
+  passport.authenticate("local", { session: false }),
+  (req, res) => {
+    sqreen.auth_track(true, { email: req.body.email }, req);
+    tokens.issue(req.user, function(err, pair) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      res.send(pair);
+    });
+  }
+);
+
+router.post("/token/refresh", (req, res) => {
+  if (!req.body.refreshToken) {
+    return res.status(400).send({ error: "A refresh token is required." });
+  }
+  tokens.rotate(req.body.refreshToken, function(err, pair) {
+    if (err) return res.status(500).send({ error: "Something went wrong" });
+    if (!pair) {
+      return res
+        .status(401)
+        .send({ error: "This refresh token is invalid or has expired." });
+    }
+    res.send(pair);
+  });
+});
+
+// Publishing the verification key is routine for asymmetric JWTs
+router.get("/token/public-key", (req, res) => {
+  if (!jwtConfig.isAsymmetric) {
+    return res
+      .status(404)
+      .send({ error: `Tokens are signed with ${jwtConfig.algorithm}.` });
+  }
+  res.type("text/plain").send(jwtConfig.publicKey);
+});
+
+router.post("/logout", (req, res) => {
+  if (!req.body.refreshToken) {
+    return res.status(400).send({ error: "A refresh token is required." });
+  }
+  tokens.revoke(req.body.refreshToken, function(err) {
+    if (err) return res.status(500).send({ error: "Something went wrong" });
+    res.send({ status: true });
+  });
+});
+
+router.get(
+  "/user/me",
+  passport.authenticate("jwt", { session: false }),
+  (req, res) => {
+    res.send(req.user);
+  }
+);
+
+router.post("/register", registerLimit, (req, res) => {
+  const { email, username, password } = req.body;
+  if (!email || !username || !password) {
+    return res
+      .status(400)
+      .send({ error: "Email, username and password are required." });
+  }
+  const secureEnumeration = scenarios.isSecure("register-enumeration");
+  db.get("SELECT ID, USERNAME FROM USERS WHERE EMAIL = ?", email, function(
+    err,
+    existing
+  ) {
+    if (err) return res.status(500).send({ error: "Something went wrong" });
+    if (existing) {
+      if (!secureEnumeration) {
+        return res
+          .status(409)
+          .send({ error: "An account already exists for this email." });
+      }
+      // The owner learns about the attempt, the requester learns nothing
+      mailer.send({
+        to: email,
+        subject: "Someone tried to sign up with your email",
+        text: [
+          `Hello ${existing.USERNAME},`,
+          "",
+          "Somebody tried to create a Sqreenshop account with your email.",
+          "If it was you, you can log in or reset your password instead."
+        ].join("\n")
+      });
+      return res.send({ message: SIGNUP_MESSAGE });
+    }
+    passwords.encode(password, function(err, storedPassword) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      db.run(
+        "INSERT INTO USERS (USERNAME, EMAIL, PASSWORD) VALUES (?, ?, ?)",
+        username,
+        email,
+        storedPassword,
+        function(err) {
+          if (err) {
+            return res.status(500).send({ error: "Something went wrong" });
+          }
+          sqreen.signup_track({ email }, req, { ID: this.lastID });
+          mailer.send({
+            to: email,
+            subject: "Welcome to Sqreenshop",
+            text: [
+              `Hello ${username},`,
+              "",
+              "Your Sqreenshop account has been created."
+            ].join("\n")
+          });
+          if (secureEnumeration) {
+            return res.send({ message: SIGNUP_MESSAGE });
+          }
+          res.status(201).send({ message: "Your account has been created." });
+        }
+      );
+    });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require("express");
+const { passport } = require("../config/auth");
+const db = require("../config/db");
+
+const router = express.Router();
+
+const authenticate = passport.authenticate("jwt", { session: false });
+
+// Every user has a single cart, created the first time it is needed
+const findOrCreateCart = (userId, done) => {
+  db.run(
+    "INSERT OR IGNORE INTO CARTS (USER_ID, CREATED_AT) VALUES (?, ?)",
+    userId,
+    Date.now(),
+    function(err) {
+      if (err) return done(err);
+      db.get("SELECT ID FROM CARTS WHERE USER_ID = ?", userId, done);
+    }
+  );
+};
+
+const sendCart = (cartId, res) => {
+  db.all(
+    "SELECT POSTS.ID AS POST_ID, TITLE, PRICE, PICTURE, QUANTITY FROM CART_ITEMS JOIN POSTS ON POSTS.ID = POST_ID WHERE CART_ID = ? ORDER BY CART_ITEMS.ID",
+    cartId,
+    function(err, items) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      const total = items.reduce(
+        (sum, item) => sum + Number(item.PRICE) * item.QUANTITY,
+        0
+      );
+      res.send({ items, total });
+    }
+  );
+};
+
+const withCart = handler => (req, res) => {
+  findOrCreateCart(req.user.ID, function(err, cart) {
+    if (err) return res.status(500).send({ error: "Something went wrong" });
+    handler(cart.ID, req, res);
+  });
+};
+
+router.get(
+  "/cart",
+  authenticate,
+  withCart((cartId, req, res) => sendCart(cartId, res))
+);
+
+router.post(
+  "/cart",
+  authenticate,
+  withCart((cartId, req, res) => {
+    const quantity = parseInt(req.body.quantity, 10) || 1;
+    if (quantity < 1 || quantity > 99) {
+      return res
+        .status(400)
+        .send({ error: "Quantity must be between 1 and 99." });
+    }
+    db.get("SELECT ID FROM POSTS WHERE ID = ?", req.body.postId, function(
+      err,
+      post
+    ) {
+      if (!post) return res.status(404).send({ error: "Unknown product." });
+      db.run(
+        "INSERT OR IGNORE INTO CART_ITEMS (CART_ID, POST_ID, QUANTITY) VALUES (?, ?, 0)",
+        cartId,
+        post.ID,
+        function(err) {
+          if (err) {
+            return res.status(500).send({ error: "Something went wrong" });
+          }
+          db.run(
+            "UPDATE CART_ITEMS SET QUANTITY = MIN(QUANTITY + ?, 99) WHERE CART_ID = ? AND POST_ID = ?",
+            quantity,
+            cartId,
+            post.ID,
+            function(err) {
+              if (err) {
+                return res.status(500).send({ error: "Something went wrong" });
+              }
+              sendCart(cartId, res);
+            }
+          );
+        }
+      );
+    });
+  })
+);
+
+router.delete(
+  "/cart",
+  authenticate,
+  withCart((cartId, req, res) => {
+    db.run("DELETE FROM CART_ITEMS WHERE CART_ID = ?", cartId, function(err) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      sendCart(cartId, res);
+    });
+  })
+);
+
+router.delete(
+  "/cart/:postId",
+  authenticate,
+  withCart((cartId, req, res) => {
+    db.run(
+      "DELETE FROM CART_ITEMS WHERE CART_ID = ? AND POST_ID = ?",
+      cartId,
+      req.params.postId,
+      function(err) {
+        if (err) {
+          return res.status(500).send({ error: "Something went wrong" });
+        }
+        sendCart(cartId, res);
+      }
+    );
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const db = require("../config/db");
+
+const router = express.Router();
+
+router.get("/categories", (req, res) => {
+  db.all(
+    "SELECT CATEGORIES.*, COUNT(POSTS.ID) AS POSTS FROM CATEGORIES LEFT JOIN POSTS ON POSTS.CATEGORY_ID = CATEGORIES.ID GROUP BY CATEGORIES.ID ORDER BY NAME",
+    function(err, categories) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      res.send(categories);
+    }
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require("express");
+const mailer = require("../config/mailer");
+
+const router = express.Router();
+
+router.get("/dev/outbox", (req, res) => {
+  mailer.list({ to: req.query.to }, function(err, messages) {
+    if (err) return res.status(500).send({ error: "Something went wrong" });
+    res.send(messages);
+  });
+});
+
+router.delete("/dev/outbox", (req, res) => {
+  mailer.clear(function(err) {
+    if (err) return res.status(500).send({ error: "Something went wrong" });
+    res.send({ status: true });
+  });
+});
+
+// Stands in for the attacker's server in the XSS demos. Payloads beacon
+// whatever they stole to /dev/collect, the side panel reads it back.
+const MAX_COLLECTED = 100;
+let collected = [];
+
+router.all("/dev/collect", (req, res) => {
+  collected.unshift({
+    data: { ...req.query, ...req.body },
+    ip: req.ip,
+    referer: req.get("referer"),
+    userAgent: req.get("user-agent"),
+    createdAt: Date.now()
+  });
+  collected = collected.slice(0, MAX_COLLECTED);
+  res.status(204).end();
+});
+
+router.get("/dev/collected", (req, res) => {
+  res.send(collected);
+});
+
+router.delete("/dev/collected", (req, res) => {
+  collected = [];
+  res.send({ status: true });
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const Fs = require("fs");
+const Path = require("path");
+const express = require("express");
+const scenarios = require("../config/scenarios");
+const securityEvents = require("../config/security-events");
+
+const router = express.Router();
+
+scenarios.register("path-traversal-download", {
+  description: "The requested file name is joined to the assets folder as is",
+  routes: ["GET /api/download"]
+});
+
+const ASSETS_DIR = Path.resolve(__dirname, "../assets");
+
+const sendFile = (res, fullPath) => {
+  Fs.readFile(fullPath, function(err, content) {
+    if (err) return res.status(404).send({ error: "File not found." });
+    res.attachment(Path.basename(fullPath)).send(content);
+  });
+};
+
+router.get("/download", (req, res) => {
+  const file = String(req.query.file || "");
+  if (!file) return res.status(400).send({ error: "file is required." });
+  if (scenarios.isSecure("path-traversal-download")) {
+    // Only files sitting right in the assets folder, whatever the name holds
+    const fullPath = Path.resolve(ASSETS_DIR, file);
+    if (Path.dirname(fullPath) !== ASSETS_DIR) {
+      securityEvents.attack(req, "path-traversal-download", { file });
+      return res.status(404).send({ error: "File not found." });
+    }
+    return sendFile(res, fullPath);
+  }
+  // Path.join resolves "../" as well, the result can land anywhere
+  sendFile(res, Path.join(ASSETS_DIR, file));
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require("express");
+const { passport } = require("../config/auth");
+const db = require("../config/db");
+
+const router = express.Router();
+
+const authenticate = passport.authenticate("jwt", { session: false });
+
+const sendFavorites = (userId, res) => {
+  db.all(
+    "SELECT POSTS.* FROM FAVORITES JOIN POSTS ON POSTS.ID = POST_ID WHERE USER_ID = ? ORDER BY FAVORITES.ID DESC",
+    userId,
+    function(err, posts) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      res.send(posts);
+    }
+  );
+};
+
+router.get("/favorites", authenticate, (req, res) => {
+  sendFavorites(req.user.ID, res);
+});
+
+router.get("/favorites/:postId", authenticate, (req, res) => {
+  db.get(
+    "SELECT ID FROM FAVORITES WHERE USER_ID = ? AND POST_ID = ?",
+    req.user.ID,
+    req.params.postId,
+    function(err, favorite) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      res.send({ favorite: !!favorite });
+    }
+  );
+});
+
+router.put("/favorites/:postId", authenticate, (req, res) => {
+  db.get("SELECT ID FROM POSTS WHERE ID = ?", req.params.postId, function(
+    err,
+    post
+  ) {
+    if (!post) return res.status(404).send({ error: "Unknown product." });
+    db.run(
+      "INSERT OR IGNORE INTO FAVORITES (USER_ID, POST_ID, CREATED_AT) VALUES (?, ?, ?)",
+      req.user.ID,
+      post.ID,
+      Date.now(),
+      function(err) {
+        if (err) return res.status(500).send({ error: "Something went wrong" });
+        sendFavorites(req.user.ID, res);
+      }
+    );
+  });
+});
+
+router.delete("/favorites/:postId", authenticate, (req, res) => {
+  db.run(
+    "DELETE FROM FAVORITES WHERE USER_ID = ? AND POST_ID = ?",
+    req.user.ID,
+    req.params.postId,
+    function(err) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      sendFavorites(req.user.ID, res);
+    }
+  );
+});
+
+module.exports = router;
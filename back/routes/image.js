@@ -0,0 +1,192 @@
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { URL, fileURLToPath } = require("url");
+const express = require("express");
+const scenarios = require("../config/scenarios");
+const securityEvents = require("../config/security-events");
+
+const router = express.Router();
+
+scenarios.register("ssrf-image-proxy", {
+  description: "The image proxy fetches any URL, internal ones included",
+  routes: ["GET /api/image"]
+});
+
+const MAX_SIZE = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const TIMEOUT = 5000;
+const CACHE_TTL = 10 * 60 * 1000;
+const CACHE_SIZE = 100;
+
+// Requests to the cloud metadata address land on the local stand-in
+const METADATA_HOST = "169.254.169.254";
+
+const allowlist = (
+  process.env.IMAGE_PROXY_ALLOWLIST ||
+  "sqreen-assets.s3-eu-west-1.amazonaws.com"
+)
+  .split(",")
+  .map(host => host.trim())
+  .filter(Boolean);
+
+const refuse = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+// Loopback, private, link-local and carrier-grade NAT ranges
+const isPrivate = address => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivate(mapped[1]);
+  if (net.isIPv6(address)) return /^(::1?$|f[cd]|fe[89ab])/i.test(address);
+  const [a, b] = address.split(".").map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168)
+  );
+};
+
+// Checked on the resolved address, a public name pointing inside is refused
+const safeLookup = (hostname, options, done) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return done(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivate(entry.address))) {
+      return done(refuse(403, "Private addresses cannot be proxied."));
+    }
+    done(null, address, family);
+  });
+};
+
+// Error for a URL the current mode refuses, null when it may be fetched
+const check = url => {
+  if (!scenarios.isSecure("ssrf-image-proxy")) return null;
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return refuse(400, "Only http and https images can be proxied.");
+  }
+  if (!allowlist.includes(url.hostname)) {
+    return refuse(403, `${url.hostname} is not an allowed image host.`);
+  }
+  const literal = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(literal) && isPrivate(literal)) {
+    return refuse(403, "Private addresses cannot be proxied.");
+  }
+  return null;
+};
+
+const fetchImage = (url, req, redirects, done) => {
+  const refused = check(url);
+  if (refused) return done(refused);
+  if (url.protocol === "file:") {
+    return fs.readFile(fileURLToPath(url), (err, body) => {
+      if (err) return done(refuse(404, err.message));
+      done(null, { type: "text/plain", body });
+    });
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return done(refuse(400, `Unsupported protocol ${url.protocol}`));
+  }
+  const target =
+    url.hostname === METADATA_HOST
+      ? new URL(
+          url.pathname + url.search,
+          `http://127.0.0.1:${req.socket.localPort}`
+        )
+      : url;
+  const options = { timeout: TIMEOUT };
+  if (scenarios.isSecure("ssrf-image-proxy")) options.lookup = safeLookup;
+  const client = target.protocol === "https:" ? https : http;
+  const request = client.get(target, options, response => {
+    const { statusCode, headers } = response;
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        return done(refuse(502, "Too many redirects."));
+      }
+      // Every hop goes through the same checks as the first URL
+      return fetchImage(
+        new URL(headers.location, url),
+        req,
+        redirects + 1,
+        done
+      );
+    }
+    if (statusCode !== 200) {
+      response.resume();
+      return done(refuse(502, `The image host answered ${statusCode}.`));
+    }
+    const type = headers["content-type"] || "application/octet-stream";
+    if (scenarios.isSecure("ssrf-image-proxy") && !/^image\//.test(type)) {
+      response.resume();
+      return done(refuse(415, "This is not an image."));
+    }
+    const chunks = [];
+    let size = 0;
+    response.on("data", chunk => {
+      size = size + chunk.length;
+      if (size > MAX_SIZE) {
+        request.destroy(refuse(413, "The image is too large."));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on("end", () => {
+      if (size <= MAX_SIZE) done(null, { type, body: Buffer.concat(chunks) });
+    });
+  });
+  request.on("timeout", () =>
+    request.destroy(refuse(504, "The image host did not answer."))
+  );
+  request.on("error", err => done(err.status ? err : refuse(502, err.message)));
+};
+
+// Oldest entries go first once the cache is full
+const cache = new Map();
+
+const remember = (key, image) => {
+  if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(key, { ...image, expiresAt: Date.now() + CACHE_TTL });
+};
+
+const sendImage = (res, image) => {
+  if (scenarios.isSecure("ssrf-image-proxy")) {
+    // An SVG is an image/* that can carry scripts
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Content-Security-Policy", "default-src 'none'");
+  }
+  res.set("Cache-Control", `public, max-age=${CACHE_TTL / 1000}`);
+  res.type(image.type).send(image.body);
+};
+
+router.get("/image", (req, res) => {
+  let url;
+  try {
+    url = new URL(String(req.query.url));
+  } catch (e) {
+    return res.status(400).send({ error: "url must be an absolute URL." });
+  }
+  // Checked before the cache, what one mode fetched the other may refuse
+  const refused = check(url);
+  if (refused) {
+    securityEvents.attack(req, "ssrf-image-proxy", {
+      url: url.href,
+      reason: refused.message
+    });
+    return res.status(refused.status).send({ error: refused.message });
+  }
+  const cached = cache.get(url.href);
+  if (cached && cached.expiresAt > Date.now()) return sendImage(res, cached);
+  fetchImage(url, req, 0, (err, image) => {
+    if (err) return res.status(err.status || 502).send({ error: err.message });
+    remember(url.href, image);
+    sendImage(res, image);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require("express");
+const { passport } = require("../config/auth");
+const db = require("../config/db");
+const idor = require("../config/idor");
+const scenarios = require("../config/scenarios");
+
+const router = express.Router();
+
+const authenticate = passport.authenticate("jwt", { session: false });
+
+scenarios.register("order-price-tampering", {
+  description:
+    "Orders are charged the unit price and quantity sent by the client",
+  routes: ["POST /api/orders"]
+});
+
+// Each item binds 5 values and SQLite accepts 999 per query
+const MAX_ITEMS = 100;
+
+const placeholders = (values, group = "?") =>
+  values.map(() => group).join(", ");
+
+// Turns the requested items into order lines, or an error message
+const buildLines = (items, posts) => {
+  const postsById = new Map(posts.map(post => [post.ID, post]));
+  const trustClient = !scenarios.isSecure("order-price-tampering");
+  const lines = [];
+  for (const item of items) {
+    const post = postsById.get(Number(item.postId));
+    if (!post) return { error: `Unknown product ${item.postId}.` };
+    const quantity = Number(item.quantity);
+    const unitPrice =
+      trustClient && item.price !== undefined
+        ? Number(item.price)
+        : Number(post.PRICE);
+    if (Number.isNaN(quantity) || Number.isNaN(unitPrice)) {
+      return { error: "Quantity and price must be numbers." };
+    }
+    if (
+      !trustClient &&
+      (!Number.isInteger(quantity) || quantity < 1 || quantity > 99)
+    ) {
+      return { error: "Quantity must be a whole number between 1 and 99." };
+    }
+    lines.push({ post, quantity, unitPrice });
+  }
+  return { lines };
+};
+
+const findOrders = (where, params, done) => {
+  db.all(
+    `SELECT * FROM ORDERS WHERE ${where} ORDER BY ID DESC`,
+    ...params,
+    function(err, orders) {
+      if (err || !orders.length) return done(err, orders);
+      db.all(
+        `SELECT * FROM ORDER_ITEMS WHERE ORDER_ID IN (${placeholders(
+          orders
+        )}) ORDER BY ID`,
+        ...orders.map(order => order.ID),
+        function(err, items) {
+          if (err) return done(err);
+          done(
+            null,
+            orders.map(order => ({
+              ...order,
+              items: items.filter(item => item.ORDER_ID === order.ID)
+            }))
+          );
+        }
+      );
+    }
+  );
+};
+
+router.post("/orders", authenticate, (req, res) => {
+  const items = Array.isArray(req.body.items) ? req.body.items : [];
+  if (!items.length) {
+    return res.status(400).send({ error: "An order needs at least one item." });
+  }
+  if (items.length > MAX_ITEMS) {
+    return res
+      .status(400)
+      .send({ error: `An order holds at most ${MAX_ITEMS} items.` });
+  }
+  // Checked in both modes, the scenario is about prices and quantities only
+  if (!items.every(item => item && typeof item === "object" && item.postId)) {
+    return res.status(400).send({ error: "Every item needs a postId." });
+  }
+  const postIds = items.map(item => item.postId);
+  db.all(
+    `SELECT ID, TITLE, PRICE FROM POSTS WHERE ID IN (${placeholders(postIds)})`,
+    ...postIds,
+    function(err, posts) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      const { lines, error } = buildLines(items, posts);
+      if (error) return res.status(400).send({ error });
+      const total = lines.reduce(
+        (sum, line) => sum + line.unitPrice * line.quantity,
+        0
+      );
+      db.run(
+        "INSERT INTO ORDERS (USER_ID, TOTAL, CREATED_AT) VALUES (?, ?, ?)",
+        req.user.ID,
+        total,
+        Date.now(),
+        function(err) {
+          if (err) {
+            return res.status(500).send({ error: "Something went wrong" });
+          }
+          const orderId = this.lastID;
+          db.run(
+            `INSERT INTO ORDER_ITEMS (ORDER_ID, POST_ID, TITLE, UNIT_PRICE, QUANTITY) VALUES ${placeholders(
+              lines,
+              "(?, ?, ?, ?, ?)"
+            )}`,
+            ...[].concat(
+              ...lines.map(line => [
+                orderId,
+                line.post.ID,
+                line.post.TITLE,
+                line.unitPrice,
+                line.quantity
+              ])
+            ),
+            function(err) {
+              if (err) {
+                return res.status(500).send({ error: "Something went wrong" });
+              }
+              findOrders("ID = ?", [orderId], function(err, orders) {
+                if (err) {
+                  return res
+                    .status(500)
+                    .send({ error: "Something went wrong" });
+                }
+                res.status(201).send(orders[0]);
+              });
+            }
+          );
+        }
+      );
+    }
+  );
+});
+
+router.get("/orders", authenticate, (req, res) => {
+  findOrders("USER_ID = ?", [req.user.ID], function(err, orders) {
+    if (err) return res.status(500).send({ error: "Something went wrong" });
+    res.send(orders);
+  });
+});
+
+router.get("/orders/:id", authenticate, (req, res) => {
+  const [where, params] = idor.checksOwner()
+    ? ["ID = ? AND USER_ID = ?", [req.params.id, req.user.ID]]
+    : ["ID = ?", [req.params.id]];
+  findOrders(where, params, function(err, orders) {
+    if (err) return res.status(500).send({ error: "Something went wrong" });
+    if (!orders.length) {
+      return res.status(404).send({ error: "Order not found." });
+    }
+    res.send(orders[0]);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const Fs = require("fs");
+const Path = require("path");
+const express = require("express");
+const multer = require("multer");
+const { passport } = require("../config/auth");
+const db = require("../config/db");
+const scenarios = require("../config/scenarios");
+const uploads = require("../config/uploads");
+
+const router = express.Router();
+
+scenarios.register("unrestricted-upload", {
+  description:
+    "Uploaded pictures keep their name and content, paths included, without any check",
+  routes: ["POST /api/posts/:id/picture"]
+});
+
+const MAX_SIZE = 2 * 1024 * 1024;
+
+// What a picture starts with, whatever its name or announced type says
+const SIGNATURES = [
+  { ext: "png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { ext: "jpg", bytes: [0xff, 0xd8, 0xff] },
+  { ext: "gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { ext: "webp", bytes: [0x52, 0x49, 0x46, 0x46], at: 8, tail: "WEBP" }
+];
+
+const pictureType = buffer => {
+  const signature = SIGNATURES.find(
+    ({ bytes, at, tail }) =>
+      bytes.every((byte, i) => buffer[i] === byte) &&
+      (!tail || buffer.toString("ascii", at, at + tail.length) === tail)
+  );
+  return signature && signature.ext;
+};
+
+// Kept as sent, "../" included: busboy only strips it without preservePath
+const vulnerableUpload = multer({
+  preservePath: true,
+  storage: multer.diskStorage({
+    destination: uploads.dir,
+    filename: (req, file, done) => done(null, file.originalname)
+  })
+}).single("picture");
+
+const secureUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SIZE, files: 1 }
+}).single("picture");
+
+// Checks the picture in memory, then writes it under a name of our own
+const storeSecurely = (file, done) => {
+  const ext = pictureType(file.buffer);
+  if (!ext) return done(null, null);
+  const filename = `${crypto.randomBytes(16).toString("hex")}.${ext}`;
+  Fs.writeFile(Path.join(uploads.dir, filename), file.buffer, err =>
+    done(err, filename)
+  );
+};
+
+const store = (req, res, done) => {
+  if (!scenarios.isSecure("unrestricted-upload")) {
+    return vulnerableUpload(req, res, err =>
+      done(err, req.file && req.file.originalname)
+    );
+  }
+  secureUpload(req, res, err => {
+    if (err) return done(err);
+    if (!req.file) return done(null, null);
+    storeSecurely(req.file, done);
+  });
+};
+
+router.post(
+  "/posts/:id/picture",
+  passport.authenticate("jwt", { session: false }),
+  (req, res) => {
+    db.get("SELECT * FROM POSTS WHERE ID = ?", req.params.id, function(
+      err,
+      post
+    ) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      if (!post) return res.status(404).send({ error: "Product not found." });
+      store(req, res, (err, filename) => {
+        if (err instanceof multer.MulterError) {
+          return res.status(400).send({ error: err.message });
+        }
+        if (err) return res.status(500).send({ error: "Something went wrong" });
+        if (!filename) {
+          return res
+            .status(400)
+            .send({ error: "Send a PNG, JPEG, GIF or WebP picture." });
+        }
+        const picture = `${uploads.publicPath}/${filename}`;
+        db.run(
+          "UPDATE POSTS SET PICTURE = ? WHERE ID = ?",
+          picture,
+          post.ID,
+          function(err) {
+            if (err) {
+              return res.status(500).send({ error: "Something went wrong" });
+            }
+            res.status(201).send({ ...post, PICTURE: picture });
+          }
+        );
+      });
+    });
+  }
+);
+
+module.exports = router;
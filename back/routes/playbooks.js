@@ -0,0 +1,16 @@
+const express = require("express");
+const playbooks = require("../config/playbooks");
+
+const router = express.Router();
+
+router.get("/playbooks", (req, res) => {
+  res.send(playbooks.list());
+});
+
+// Without an ip in the body every block is lifted
+router.delete("/playbooks/blocks", (req, res) => {
+  playbooks.unblock(req.body.ip);
+  res.send(playbooks.list());
+});
+
+module.exports = router;
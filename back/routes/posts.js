@@ -0,0 +1,118 @@
+const express = require("express");
+const { optionalJWTAuth } = require("../config/auth");
+const db = require("../config/db");
+const scenarios = require("../config/scenarios");
+const sqreen = require("../config/sqreen");
+
+const router = express.Router();
+
+scenarios.register("sqli-post-list", {
+  description: "Paging parameters are interpolated into the SQL query",
+  routes: ["GET /api/posts"]
+});
+
+scenarios.register("sqli-post-by-id", {
+  description: "Post id is interpolated into the SQL query",
+  routes: ["GET /api/posts/:id"]
+});
+
+scenarios.register("product-crawling", {
+  description: "Nothing stops a client from downloading the whole catalog",
+  routes: ["GET /api/posts/:id"]
+});
+
+scenarios.register("sqli-search", {
+  description: "The search query is concatenated into a LIKE clause",
+  routes: ["GET /api/posts/search"]
+});
+
+scenarios.register("reflected-xss", {
+  description: "The search query is echoed back as HTML on the results page",
+  routes: ["GET /api/posts/search"]
+});
+
+// The category filter is always bound, only paging belongs to the scenario
+const categoryFilter = category =>
+  category
+    ? [
+        db.sql`WHERE CATEGORY_ID = (SELECT ID FROM CATEGORIES WHERE SLUG = ?)`,
+        [category]
+      ]
+    : [db.sql``, []];
+
+router.get("/posts", optionalJWTAuth, (req, res) => {
+  const [where, params] = categoryFilter(req.query.category);
+  if (scenarios.isSecure("sqli-post-list")) {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 50, 0),
+      50
+    );
+    const skip = Math.min(Math.max(parseInt(req.query.skip, 10) || 0, 0), 20);
+    return db.all(
+      db.sql`SELECT * FROM POSTS ${where} LIMIT ? OFFSET ?;`,
+      ...params,
+      limit,
+      skip,
+      function(err, row) {
+        res.send(row);
+      }
+    );
+  }
+  const limit =
+    req.query.limit >= 0 && req.query.limit <= 50 ? req.query.limit : 50;
+  const skip = req.query.skip >= 0 && req.query.skip <= 20 ? req.query.skip : 0;
+  db.all(
+    db.sql`SELECT * FROM POSTS ${where} LIMIT ${limit} OFFSET ${skip};`,
+    ...params,
+    function(err, row) {
+      if (err) {
+        return res.status(err.status || 500).send({ error: err.message });
+      }
+      res.send(row);
+    }
+  );
+});
+
+// Declared before /posts/:id, which would otherwise swallow it
+router.get("/posts/search", optionalJWTAuth, (req, res) => {
+  const q = String(req.query.q || "");
+  const query = scenarios.isSecure("sqli-search")
+    ? [
+        "SELECT ID, TITLE, PRICE, PICTURE FROM POSTS WHERE TITLE LIKE ? ESCAPE '\\';",
+        `%${q.replace(/[\\%_]/g, "\\$&")}%`
+      ]
+    : [
+        db.sql`SELECT ID, TITLE, PRICE, PICTURE FROM POSTS WHERE TITLE LIKE '%${q}%';`
+      ];
+  db.all(...query, function(err, rows) {
+    if (err) {
+      return res.status(err.status || 500).send({ error: err.message });
+    }
+    // How the client may render the query it echoes, like reviews
+    res.send({
+      format: scenarios.isSecure("reflected-xss") ? "text" : "html",
+      posts: rows
+    });
+  });
+});
+
+router.get("/posts/:id", optionalJWTAuth, (req, res) => {
+  const query = scenarios.isSecure("sqli-post-by-id")
+    ? ["SELECT * FROM POSTS WHERE ID = ?;", req.params.id]
+    : [db.sql`SELECT * FROM POSTS WHERE ID = ${req.params.id};`];
+  db.all(...query, function(err, row) {
+    if (err) {
+      return res.status(err.status || 500).send({ error: err.message });
+    }
+    sqreen.track(
+      "get-single-article",
+      {
+        properties: { articleId: req.params.id }
+      },
+      req
+    );
+    res.send(row);
+  });
+});
+
+module.exports = router;
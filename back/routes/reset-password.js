@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const express = require("express");
+const db = require("../config/db");
+const mailer = require("../config/mailer");
+const passwords = require("../config/passwords");
+const scenarios = require("../config/scenarios");
+
+const router = express.Router();
+
+const TOKEN_TTL = 60 * 60 * 1000;
+const RESEND_COOLDOWN = 5 * 60 * 1000;
+const GENERIC_MESSAGE =
+  "If an account exists for this email, a reset link has been sent.";
+
+scenarios.register("reset-password-enumeration", {
+  description: "Reset requests tell whether an account exists for the email",
+  routes: ["POST /api/reset-password"]
+});
+
+scenarios.register("reset-password-flooding", {
+  description: "Every reset request sends a new email, without any cooldown",
+  routes: ["POST /api/reset-password"]
+});
+
+const appUrl = req =>
+  process.env.APP_URL || `${req.protocol}://${req.get("host")}`;
+
+const sendResetEmail = (req, user, done) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+  db.run(
+    "INSERT INTO RESET_TOKENS (USER_ID, TOKEN, CREATED_AT, EXPIRES_AT) VALUES (?, ?, ?, ?)",
+    user.ID,
+    token,
+    now,
+    now + TOKEN_TTL,
+    function(err) {
+      if (err) return done(err);
+      const link = `${appUrl(req)}/reset-password/${token}`;
+      mailer.send(
+        {
+          to: user.EMAIL,
+          subject: "Reset your Sqreenshop password",
+          text: [
+            `Hello ${user.USERNAME},`,
+            "",
+            "Follow this link to choose a new password:",
+            link,
+            "",
+            "The link expires in one hour."
+          ].join("\n")
+        },
+        done
+      );
+    }
+  );
+};
+
+// A user who already has a fresh pending token does not get another email
+const isCoolingDown = (user, done) => {
+  db.get(
+    "SELECT ID FROM RESET_TOKENS WHERE USER_ID = ? AND USED_AT IS NULL AND CREATED_AT > ?",
+    user.ID,
+    Date.now() - RESEND_COOLDOWN,
+    function(err, row) {
+      done(err, !!row);
+    }
+  );
+};
+
+router.post("/reset-password", (req, res) => {
+  const secureEnumeration = scenarios.isSecure("reset-password-enumeration");
+  db.get(
+    "SELECT ID, USERNAME, EMAIL FROM USERS WHERE EMAIL = ?",
+    req.body.email,
+    function(err, user) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      if (!user) {
+        return secureEnumeration
+          ? res.send({ message: GENERIC_MESSAGE })
+          : res.status(404).send({ error: "No account found for this email." });
+      }
+      const respond = err => {
+        if (err) return res.status(500).send({ error: "Something went wrong" });
+        res.send({
+          message: secureEnumeration
+            ? GENERIC_MESSAGE
+            : `A reset link has been sent to ${user.EMAIL}.`
+        });
+      };
+      if (!scenarios.isSecure("reset-password-flooding")) {
+        return sendResetEmail(req, user, respond);
+      }
+      isCoolingDown(user, (err, coolingDown) => {
+        if (err || coolingDown) return respond(err);
+        sendResetEmail(req, user, respond);
+      });
+    }
+  );
+});
+
+router.post("/reset-password/:token", (req, res) => {
+  if (!req.body.password) {
+    return res.status(400).send({ error: "A new password is required." });
+  }
+  db.get(
+    "SELECT ID, USER_ID FROM RESET_TOKENS WHERE TOKEN = ? AND USED_AT IS NULL AND EXPIRES_AT > ?",
+    req.params.token,
+    Date.now(),
+    function(err, resetToken) {
+      if (!resetToken) {
+        return res
+          .status(400)
+          .send({ error: "This reset link is invalid or has expired." });
+      }
+      passwords.encode(req.body.password, function(err, storedPassword) {
+        if (err) return res.status(500).send({ error: "Something went wrong" });
+        db.run(
+          "UPDATE USERS SET PASSWORD = ? WHERE ID = ?",
+          storedPassword,
+          resetToken.USER_ID,
+          function(err) {
+            if (err) {
+              return res.status(500).send({ error: "Something went wrong" });
+            }
+            db.run(
+              "UPDATE RESET_TOKENS SET USED_AT = ? WHERE ID = ?",
+              Date.now(),
+              resetToken.ID
+            );
+            res.send({ message: "Your password has been updated." });
+          }
+        );
+      });
+    }
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require("express");
+const { passport } = require("../config/auth");
+const db = require("../config/db");
+const scenarios = require("../config/scenarios");
+
+const router = express.Router();
+
+scenarios.register("stored-xss", {
+  description: "Reviews are stored as is and rendered as HTML",
+  routes: ["POST /api/posts/:id/reviews", "GET /api/posts/:id/reviews"]
+});
+
+// Tells the client how to render BODY. Reviews are never rewritten, so
+// flipping the scenario defuses payloads that are already stored.
+const format = () => (scenarios.isSecure("stored-xss") ? "text" : "html");
+
+const sendReviews = (postId, res, status = 200) => {
+  db.all(
+    "SELECT REVIEWS.ID, RATING, BODY, CREATED_AT, USERNAME FROM REVIEWS JOIN USERS ON USERS.ID = USER_ID WHERE POST_ID = ? ORDER BY REVIEWS.ID DESC",
+    postId,
+    function(err, reviews) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      res.status(status).send({ format: format(), reviews });
+    }
+  );
+};
+
+router.get("/posts/:id/reviews", (req, res) => {
+  sendReviews(req.params.id, res);
+});
+
+router.post(
+  "/posts/:id/reviews",
+  passport.authenticate("jwt", { session: false }),
+  (req, res) => {
+    const rating = parseInt(req.body.rating, 10);
+    const body = String(req.body.body || "").trim();
+    if (!(rating >= 1 && rating <= 5)) {
+      return res.status(400).send({ error: "Rating must be between 1 and 5." });
+    }
+    if (!body || body.length > 2000) {
+      return res
+        .status(400)
+        .send({ error: "A review needs between 1 and 2000 characters." });
+    }
+    db.get("SELECT ID FROM POSTS WHERE ID = ?", req.params.id, function(
+      err,
+      post
+    ) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      if (!post) return res.status(404).send({ error: "Product not found." });
+      db.run(
+        "INSERT INTO REVIEWS (POST_ID, USER_ID, RATING, BODY, CREATED_AT) VALUES (?, ?, ?, ?, ?)",
+        post.ID,
+        req.user.ID,
+        rating,
+        body,
+        Date.now(),
+        function(err) {
+          if (err) {
+            return res.status(500).send({ error: "Something went wrong" });
+          }
+          sendReviews(post.ID, res, 201);
+        }
+      );
+    });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const scenarios = require("../config/scenarios");
+
+const router = express.Router();
+
+router.get("/scenarios", (req, res) => {
+  res.send(scenarios.list());
+});
+
+router.put("/scenarios/:name", (req, res) => {
+  if (!scenarios.get(req.params.name)) {
+    return res.status(404).send({ error: "Unknown scenario" });
+  }
+  if (!scenarios.MODES.includes(req.body.mode)) {
+    return res
+      .status(400)
+      .send({ error: `mode must be one of ${scenarios.MODES.join(", ")}` });
+  }
+  res.send(scenarios.setMode(req.params.name, req.body.mode));
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require("express");
+const playbooks = require("../config/playbooks");
+const securityEvents = require("../config/security-events");
+
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+// Proxies close connections that stay silent for too long
+const HEARTBEAT_INTERVAL = 20 * 1000;
+
+const streamTypes = {
+  "attack-detected": "attack",
+  "request-blocked": "blocked"
+};
+
+const integer = (value, fallback, min, max) => {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+};
+
+router.get("/security/events", (req, res) => {
+  const { name, ip, userId, route, scenario, since, until } = req.query;
+  const page = {
+    limit: integer(req.query.limit, 50, 1, MAX_LIMIT),
+    offset: integer(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER)
+  };
+  securityEvents.list(
+    {
+      name,
+      ip,
+      userId,
+      route,
+      scenario,
+      since: integer(since, null, 0, Number.MAX_SAFE_INTEGER),
+      until: integer(until, null, 0, Number.MAX_SAFE_INTEGER)
+    },
+    page,
+    function(err, result) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      res.send({ ...result, ...page });
+    }
+  );
+});
+
+// One count per minute over the last `minutes`, for each scenario
+router.get("/security/stats", (req, res) => {
+  securityEvents.stats(
+    { buckets: integer(req.query.minutes, 30, 1, 24 * 60), bucketMs: 60000 },
+    function(err, stats) {
+      if (err) return res.status(500).send({ error: "Something went wrong" });
+      res.send(stats);
+    }
+  );
+});
+
+// Server-sent events: "attack", "blocked" and "event" for the other tracked
+// events carry a security event, "playbook" a playbook that went off.
+router.get("/security/stream", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const onEvent = event => send(streamTypes[event.name] || "event", event);
+  const onTrigger = ({ rule, group, event }) =>
+    send("playbook", {
+      playbook: rule.name,
+      description: rule.description,
+      scenario: rule.scenario,
+      groupBy: rule.groupBy,
+      group,
+      actions: rule.actions.map(action => action.type),
+      ip: event.ip,
+      route: event.route,
+      createdAt: event.createdAt
+    });
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+  securityEvents.on("event", onEvent);
+  playbooks.on("trigger", onTrigger);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    securityEvents.removeListener("event", onEvent);
+    playbooks.removeListener("trigger", onTrigger);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require("express");
+const { passport } = require("../config/auth");
+const db = require("../config/db");
+const idor = require("../config/idor");
+
+const router = express.Router();
+
+router.get(
+  "/users/:id",
+  passport.authenticate("jwt", { session: false }),
+  (req, res) => {
+    // Someone else's profile is reported missing, not forbidden
+    if (idor.checksOwner() && String(req.user.ID) !== req.params.id) {
+      return res.status(404).send({ error: "User not found." });
+    }
+    db.get(
+      "SELECT ID, USERNAME, EMAIL FROM USERS WHERE ID = ?",
+      req.params.id,
+      function(err, user) {
+        if (err) return res.status(500).send({ error: "Something went wrong" });
+        if (!user) return res.status(404).send({ error: "User not found." });
+        res.send(user);
+      }
+    );
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { algorithms } = require("../config/rate-limit");
+
+// Runs `step` at each time of `times`, carrying the state along
+const run = (step, times) => {
+  let state = null;
+  return times.map(now => {
+    const result = step(state, now);
+    state = result.state;
+    return result;
+  });
+};
+
+describe("fixed-window", () => {
+  const step = algorithms["fixed-window"]({ limit: 2, windowMs: 1000 });
+
+  it("allows `limit` requests per window", () => {
+    const results = run(step, [0, 10, 20]);
+    assert.deepStrictEqual(results.map(result => result.allowed), [
+      true,
+      true,
+      false
+    ]);
+    assert.deepStrictEqual(results.map(result => result.remaining), [1, 0, 0]);
+  });
+
+  it("tells when the window ends", () => {
+    const [, , refused] = run(step, [0, 10, 20]);
+    assert.strictEqual(refused.retry, 980);
+    assert.strictEqual(refused.reset, 980);
+  });
+
+  it("starts a new window once the first one is over", () => {
+    const results = run(step, [0, 10, 20, 1000]);
+    assert.strictEqual(results[3].allowed, true);
+    assert.strictEqual(results[3].remaining, 1);
+  });
+});
+
+describe("token-bucket", () => {
+  const step = algorithms["token-bucket"]({ limit: 2, windowMs: 1000 });
+
+  it("allows a burst of `limit` requests", () => {
+    const results = run(step, [0, 0, 0]);
+    assert.deepStrictEqual(results.map(result => result.allowed), [
+      true,
+      true,
+      false
+    ]);
+  });
+
+  it("tells when the next token comes", () => {
+    const [, , refused] = run(step, [0, 0, 0]);
+    assert.strictEqual(refused.retry, 500);
+    assert.strictEqual(refused.reset, 1000);
+  });
+
+  it("refills tokens continuously", () => {
+    const results = run(step, [0, 0, 250, 500, 500]);
+    assert.deepStrictEqual(results.map(result => result.allowed), [
+      true,
+      true,
+      false,
+      true,
+      false
+    ]);
+  });
+});
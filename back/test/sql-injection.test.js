@@ -0,0 +1,88 @@
+const assert = require("assert");
+const { describe, it } = require("node:test");
+const { sql, tokenize, inputsOf, find } = require("../config/sql-injection");
+
+const query = value => [{ source: "query.q", value }];
+
+const search = q => sql`SELECT ID, TITLE FROM POSTS WHERE TITLE LIKE '%${q}%';`;
+
+const byId = id => sql`SELECT * FROM POSTS WHERE ID = ${id};`;
+
+describe("tokenize", () => {
+  it("keeps literals, comments and operators whole", () => {
+    assert.deepStrictEqual(
+      tokenize("SELECT * FROM \"POSTS\" WHERE TITLE = 'it''s' -- done").map(
+        token => [token.type, token.text]
+      ),
+      [
+        ["word", "SELECT"],
+        ["operator", "*"],
+        ["word", "FROM"],
+        ["identifier", '"POSTS"'],
+        ["word", "WHERE"],
+        ["word", "TITLE"],
+        ["operator", "="],
+        ["string", "'it''s'"],
+        ["comment", "-- done"]
+      ]
+    );
+  });
+});
+
+describe("inputsOf", () => {
+  it("lists every string and number of the request with its source", () => {
+    assert.deepStrictEqual(
+      inputsOf({
+        params: { id: "1" },
+        query: { q: "lego" },
+        body: { items: [{ postId: 2 }] }
+      }),
+      [
+        { source: "params.id", value: "1" },
+        { source: "query.q", value: "lego" },
+        { source: "body.items.0.postId", value: "2" }
+      ]
+    );
+  });
+});
+
+describe("find", () => {
+  it("lets values stay within their string or number", () => {
+    assert.strictEqual(find(search("plumber"), query("plumber")), null);
+    assert.strictEqual(find(byId("12"), query("12")), null);
+  });
+
+  it("reports a value closing its string", () => {
+    const injection = find(search("' OR 1=1 --"), query("' OR 1=1 --"));
+    assert.strictEqual(injection.source, "query.q");
+    assert.strictEqual(injection.value, "' OR 1=1 --");
+  });
+
+  it("reports a lone quote, it ends the string early", () => {
+    assert.notStrictEqual(find(search("'"), query("'")), null);
+  });
+
+  it("reports a value spanning several tokens or opening a comment", () => {
+    assert.notStrictEqual(find(byId("1 OR 1=1"), query("1 OR 1=1")), null);
+    assert.notStrictEqual(find(byId("1--"), query("1--")), null);
+  });
+
+  it("ignores inputs matching the static text of the query", () => {
+    assert.strictEqual(find(search("shoes"), query("FROM POSTS")), null);
+    assert.strictEqual(find(search("E, T"), query("E, T")), null);
+    assert.strictEqual(
+      find(sql`SELECT ID, TITLE FROM POSTS;`, query("'")),
+      null
+    );
+  });
+
+  it("keeps the text of nested queries static", () => {
+    const where = sql`WHERE CATEGORY_ID = ?`;
+    const list = limit => sql`SELECT * FROM POSTS ${where} LIMIT ${limit};`;
+    assert.strictEqual(find(list("10"), query("CATEGORY_ID =")), null);
+    assert.notStrictEqual(
+      find(list("10 UNION SELECT 1"), query("10 UNION SELECT 1")),
+      null
+    );
+  });
+});
@@ -0,0 +1,62 @@
+const assert = require("assert");
+const { promisify } = require("util");
+const { after, before, describe, it } = require("node:test");
+const jwt = require("jsonwebtoken");
+const db = require("../config/db");
+const tokens = require("../config/tokens");
+
+const issue = promisify(tokens.issue);
+const rotate = promisify(tokens.rotate);
+
+// Resolves with the statement, its lastID is the id of an inserted row
+const run = (sql, ...params) =>
+  new Promise((resolve, reject) =>
+    db.run(sql, ...params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    })
+  );
+
+describe("tokens.rotate", () => {
+  const user = { USERNAME: `rotate-${Date.now()}` };
+
+  before(async () => {
+    const statement = await run(
+      "INSERT INTO USERS (USERNAME, PASSWORD, EMAIL) VALUES (?, ?, ?)",
+      user.USERNAME,
+      "",
+      `${user.USERNAME}@example.com`
+    );
+    user.ID = statement.lastID;
+  });
+
+  after(async () => {
+    await run("DELETE FROM REFRESH_TOKENS WHERE USER_ID = ?", user.ID);
+    await run("DELETE FROM USERS WHERE ID = ?", user.ID);
+  });
+
+  it("trades a refresh token for a new pair", async () => {
+    const pair = await issue(user);
+    const next = await rotate(pair.refreshToken);
+    assert.notStrictEqual(next.refreshToken, pair.refreshToken);
+    assert.strictEqual(jwt.decode(next.token).ID, user.ID);
+  });
+
+  it("refuses a refresh token used twice and closes every session", async () => {
+    const pair = await issue(user);
+    const next = await rotate(pair.refreshToken);
+    assert.strictEqual(await rotate(pair.refreshToken), false);
+    assert.strictEqual(await rotate(next.refreshToken), false);
+  });
+
+  it("refuses expired and unknown refresh tokens", async () => {
+    const pair = await issue(user);
+    await run(
+      "UPDATE REFRESH_TOKENS SET EXPIRES_AT = ? WHERE USER_ID = ? AND REVOKED_AT IS NULL",
+      Date.now() - 1,
+      user.ID
+    );
+    assert.strictEqual(await rotate(pair.refreshToken), false);
+    assert.strictEqual(await rotate("not-a-refresh-token"), false);
+  });
+});
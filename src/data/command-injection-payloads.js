@@ -0,0 +1,12 @@
+export default [
+  "127.0.0.1; echo sqreen-$((6*7))",
+  "127.0.0.1 && echo sqreen-$((6*7))",
+  "127.0.0.1 | echo sqreen-$((6*7))",
+  "no-such-host.invalid || echo sqreen-$((6*7))",
+  "127.0.0.1 & echo sqreen-$((6*7))",
+  "$(echo sqreen-$((6*7)))",
+  "`echo sqreen-$((6*7))`",
+  "127.0.0.1\necho sqreen-$((6*7))",
+  "127.0.0.1;echo${IFS}sqreen-$((6*7))",
+  "127.0.0.1 %0a echo sqreen-$((6*7))"
+];
@@ -0,0 +1,42 @@
+export default [
+  "secret",
+  "password",
+  "123456",
+  "changeme",
+  "jwt",
+  "jwt_secret",
+  "jwtsecret",
+  "secretkey",
+  "secret_key",
+  "mysecret",
+  "my_secret",
+  "your-256-bit-secret",
+  "your_jwt_secret",
+  "your-secret-key",
+  "supersecret",
+  "super_secret",
+  "shhhhh",
+  "keyboard cat",
+  "qwerty",
+  "admin",
+  "test",
+  "default",
+  "key",
+  "private",
+  "s3cr3t",
+  "token",
+  "auth",
+  "hello",
+  "letmein",
+  "abc123",
+  "development",
+  "production",
+  "HS256",
+  "secret123",
+  "pass",
+  "passw0rd",
+  "P@ssw0rd",
+  "iloveyou",
+  "welcome",
+  "trustno1"
+];
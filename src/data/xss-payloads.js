@@ -0,0 +1,26 @@
+export default [
+  "<script>alert(1)</script>",
+  "<img src=x onerror=alert(1)>",
+  "<IMG SRC=x OnErRoR=alert(1)>",
+  "<img src=x onerror=alert`1`>",
+  '<img src=x onerror="&#97;lert(1)">',
+  "<img src=x onerror=prompt(1)>",
+  '"><img src=x onerror=alert(1)>',
+  "<svg onload=alert(1)>",
+  "<svg/onload=confirm(1)>",
+  "<svg><script>alert(1)</script></svg>",
+  "<body onload=alert(1)>",
+  "<iframe onload=alert(1)></iframe>",
+  '<iframe srcdoc="<script>parent.alert(1)</script>"></iframe>',
+  "<details open ontoggle=alert(1)>",
+  "<video><source onerror=alert(1)></video>",
+  "<audio src=x onerror=alert(1)>",
+  "<input autofocus onfocus=alert(1)>",
+  "<marquee onstart=alert(1)>",
+  "<math><mtext><img src=x onerror=alert(1)></mtext></math>",
+  "<style onload=alert(1)></style>",
+  "<link rel=stylesheet href=x onerror=alert(1)>",
+  '<a href="javascript:alert(1)">click me</a>',
+  "{{constructor.constructor('alert(1)')()}}",
+  "javascript:alert(1)"
+];
@@ -8,9 +8,34 @@ import SideHelperPostById from "./views/post/side-post";
 
 import ResetPassword from "./views/reset-password/reset-password";
 import SideResetPassword from "./views/reset-password/side-reset-password";
+import NewPassword from "./views/reset-password/new-password";
+
+import Cart from "./views/cart/cart";
+import SideCart from "./views/cart/side-cart";
+
+import Categories from "./views/categories/categories";
+
+import Favorites from "./views/favorites/favorites";
+
+import Search from "./views/search/search";
+import SideSearch from "./views/search/side-search";
+
+import Orders from "./views/orders/orders";
+import SideOrders from "./views/orders/side-orders";
+
+import Outbox from "./views/outbox/outbox";
+import SideOutbox from "./views/outbox/side-outbox";
+
+import Admin from "./views/admin/admin";
+import SideAdmin from "./views/admin/side-admin";
+
+import Security from "./views/security/security";
+import SideSecurity from "./views/security/side-security";
 
 import Login from "./views/login/login";
 import SideLogin from "./views/login/side-login";
+import Signup from "./views/login/signup";
+import SideSignup from "./views/login/side-signup";
 
 Vue.use(Router);
 
@@ -27,6 +52,11 @@ export default new Router({
       name: "login",
       components: { default: Login, side: SideLogin }
     },
+    {
+      path: "/signup",
+      name: "signup",
+      components: { default: Signup, side: SideSignup }
+    },
     {
       path: "/post/:postId",
       components: { default: CustomDemoPost, side: SideHelperPostById }
@@ -35,6 +65,51 @@ export default new Router({
       path: "/reset-password/",
       name: "reset-password",
       components: { default: ResetPassword, side: SideResetPassword }
+    },
+    {
+      path: "/reset-password/:token",
+      name: "reset-password-token",
+      components: { default: NewPassword, side: SideResetPassword }
+    },
+    {
+      path: "/cart",
+      name: "cart",
+      components: { default: Cart, side: SideCart }
+    },
+    {
+      path: "/categories/:slug?",
+      name: "categories",
+      components: { default: Categories, side: SideHelperWelcome }
+    },
+    {
+      path: "/search",
+      name: "search",
+      components: { default: Search, side: SideSearch }
+    },
+    {
+      path: "/favorites",
+      name: "favorites",
+      components: { default: Favorites, side: SideHelperWelcome }
+    },
+    {
+      path: "/orders",
+      name: "orders",
+      components: { default: Orders, side: SideOrders }
+    },
+    {
+      path: "/outbox",
+      name: "outbox",
+      components: { default: Outbox, side: SideOutbox }
+    },
+    {
+      path: "/admin",
+      name: "admin",
+      components: { default: Admin, side: SideAdmin }
+    },
+    {
+      path: "/security",
+      name: "security",
+      components: { default: Security, side: SideSecurity }
     }
   ]
 });
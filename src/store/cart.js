@@ -0,0 +1,74 @@
+import axios from "axios";
+
+const cartRequest = (rootGetters, config) =>
+  axios({
+    baseURL: process.env.VUE_APP_API_URL,
+    url: "/api/cart",
+    headers: { Authorization: `Bearer ${rootGetters.authToken}` },
+    ...config
+  });
+
+export default {
+  namespaced: true,
+  state: {
+    items: [],
+    total: 0,
+    status: ""
+  },
+  mutations: {
+    setStatus(state, status) {
+      state.status = status;
+    },
+    setCart(state, { items, total }) {
+      state.items = items;
+      state.total = total;
+      state.status = "success";
+    }
+  },
+  actions: {
+    request({ commit, rootGetters }, config) {
+      commit("setStatus", "loading");
+      return cartRequest(rootGetters, config)
+        .then(resp => commit("setCart", resp.data))
+        .catch(e => {
+          commit("setStatus", "error");
+          throw e;
+        });
+    },
+    fetch({ dispatch }) {
+      return dispatch("request", { method: "GET" });
+    },
+    add({ dispatch }, { postId, quantity = 1 }) {
+      return dispatch("request", {
+        method: "POST",
+        data: { postId, quantity }
+      });
+    },
+    remove({ dispatch }, postId) {
+      return dispatch("request", {
+        method: "DELETE",
+        url: `/api/cart/${postId}`
+      });
+    },
+    clear({ dispatch }) {
+      return dispatch("request", { method: "DELETE" });
+    },
+    // The shop front sends the prices it displayed along with the order
+    checkout({ state, dispatch, rootGetters }) {
+      return cartRequest(rootGetters, {
+        method: "POST",
+        url: "/api/orders",
+        data: {
+          items: state.items.map(item => ({
+            postId: item.POST_ID,
+            quantity: item.QUANTITY,
+            price: Number(item.PRICE)
+          }))
+        }
+      }).then(resp => dispatch("clear").then(() => resp.data));
+    }
+  },
+  getters: {
+    count: state => state.items.reduce((sum, item) => sum + item.QUANTITY, 0)
+  }
+};
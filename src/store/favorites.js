@@ -0,0 +1,47 @@
+import axios from "axios";
+
+export default {
+  namespaced: true,
+  state: {
+    posts: [],
+    status: ""
+  },
+  mutations: {
+    setStatus(state, status) {
+      state.status = status;
+    },
+    setPosts(state, posts) {
+      state.posts = posts;
+      state.status = "success";
+    }
+  },
+  actions: {
+    request({ commit, rootGetters }, { method, postId }) {
+      commit("setStatus", "loading");
+      return axios({
+        baseURL: process.env.VUE_APP_API_URL,
+        url: postId ? `/api/favorites/${postId}` : "/api/favorites",
+        method,
+        headers: { Authorization: `Bearer ${rootGetters.authToken}` }
+      })
+        .then(resp => commit("setPosts", resp.data))
+        .catch(e => {
+          commit("setStatus", "error");
+          throw e;
+        });
+    },
+    fetch({ dispatch }) {
+      return dispatch("request", { method: "GET" });
+    },
+    toggle({ dispatch, getters }, postId) {
+      return dispatch("request", {
+        method: getters.isFavorite(postId) ? "DELETE" : "PUT",
+        postId
+      });
+    }
+  },
+  getters: {
+    isFavorite: state => postId =>
+      state.posts.some(post => String(post.ID) === String(postId))
+  }
+};
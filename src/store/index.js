@@ -0,0 +1,85 @@
+import axios from "axios";
+import Vue from "vue";
+import Vuex from "vuex";
+import vuexApi, { actions as apiActions } from "vuex-api";
+import cart from "./cart";
+import favorites from "./favorites";
+
+Vue.use(Vuex);
+
+// A refresh token works once, concurrent 401s wait for the same refresh
+let refreshing = null;
+
+const store = new Vuex.Store({
+  state: {},
+  mutations: {},
+  actions: {
+    // The new pair replaces the one login stored
+    refreshToken({ dispatch, getters }) {
+      if (!refreshing) {
+        const done = () => (refreshing = null);
+        refreshing = dispatch(apiActions.request, {
+          baseURL: process.env.VUE_APP_API_URL,
+          method: "POST",
+          url: "/api/token/refresh",
+          keyPath: ["login"],
+          data: { refreshToken: getters.refreshToken }
+        }).then(done, e => {
+          done();
+          dispatch(apiActions.clear, ["me"]);
+          dispatch(apiActions.clear, ["login"]);
+          throw e;
+        });
+      }
+      return refreshing;
+    }
+  },
+  getters: {
+    authenticatedEmail: state =>
+      state.vuexApi.me &&
+      state.vuexApi.me.resp &&
+      state.vuexApi.me.resp.data.EMAIL,
+    authToken: state =>
+      state.vuexApi.login &&
+      state.vuexApi.login.resp &&
+      state.vuexApi.login.resp.data.token,
+    refreshToken: state =>
+      state.vuexApi.login &&
+      state.vuexApi.login.resp &&
+      state.vuexApi.login.resp.data.refreshToken
+  },
+  modules: {
+    vuexApi,
+    cart,
+    favorites
+  }
+});
+
+// Access tokens are short lived: a request refused with a 401 is sent once
+// more, with the token of a fresh pair
+axios.interceptors.response.use(null, error => {
+  const { config, response } = error;
+  const retry =
+    response &&
+    response.status === 401 &&
+    config &&
+    !config.retried &&
+    config.headers &&
+    config.headers.Authorization &&
+    store.getters.refreshToken;
+  if (!retry) return Promise.reject(error);
+  return store.dispatch("refreshToken").then(
+    () =>
+      axios({
+        ...config,
+        retried: true,
+        headers: {
+          ...config.headers,
+          Authorization: `Bearer ${store.getters.authToken}`
+        }
+      }),
+    () => Promise.reject(error)
+  );
+});
+
+export default store;